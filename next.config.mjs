@@ -1,6 +1,14 @@
+import { loadMemoryContent } from "./src/lib/memory-content.mjs";
+import { loadPalettes } from "./src/lib/palette-content.mjs";
+
 /** @type {import('next').NextConfig} */
 const nextConfig = {
-  /* config options here */
+  // Inlined at build time and merged into MEMORIES by engine/data.js
+  // and into PALETTES by engine/palettes.js
+  env: {
+    MEMORY_CONTENT: JSON.stringify(loadMemoryContent()),
+    PALETTES: JSON.stringify(loadPalettes()),
+  },
 };
 
 export default nextConfig;
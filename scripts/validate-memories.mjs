@@ -0,0 +1,29 @@
+/*
+ * Fails the build when src/app/engine/data.js is inconsistent, or when a
+ * palette (engine/palettes.js plus content/palettes) is malformed.
+ * Runs as `npm run validate` and before every `npm run build`.
+ */
+
+import { loadMemoryContent } from "../src/lib/memory-content.mjs";
+import { loadPalettes } from "../src/lib/palette-content.mjs";
+
+// Merge content front matter and authored palettes the same way next.config.mjs does for the app
+const content = loadMemoryContent();
+process.env.MEMORY_CONTENT = JSON.stringify(content);
+process.env.PALETTES = JSON.stringify(loadPalettes());
+
+const { validateMemories, validatePalettes } = await import("../src/app/engine/validate.js");
+const problems = validateMemories(undefined, { contentIds: Object.keys(content) });
+const paletteProblems = validatePalettes();
+
+if (problems.length > 0) {
+  console.error(`data.js: ${problems.length} problem${problems.length === 1 ? "" : "s"}`);
+  for (const problem of problems) console.error(`  - ${problem}`);
+}
+if (paletteProblems.length > 0) {
+  console.error(`palettes: ${paletteProblems.length} problem${paletteProblems.length === 1 ? "" : "s"}`);
+  for (const problem of paletteProblems) console.error(`  - ${problem}`);
+}
+if (problems.length > 0 || paletteProblems.length > 0) process.exit(1);
+console.log("data.js: memory graph OK");
+console.log("palettes: OK");
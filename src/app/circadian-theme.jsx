@@ -0,0 +1,28 @@
+"use client";
+
+import { useEffect } from "react";
+import { getCircadianProfile } from "./engine/circadian.js";
+import { createClock, readTimeParam } from "./engine/clock.js";
+import { getLocation } from "./engine/geolocation.js";
+import { paletteById } from "./engine/palettes.js";
+import { loadPaletteChoice } from "./engine/palette-choice.js";
+import { applyCircadianTheme } from "./engine/theme.js";
+
+const REFRESH_MS = 60000; // same cadence as the organism's circadian refresh
+
+/*
+ * Keeps the document theme on the circadian clock for pages without the
+ * organism (text and memory pages), in the visitor's palette; honours
+ * ?time=HH:MM like the homepage.
+ */
+export function CircadianTheme() {
+  useEffect(() => {
+    const clock = createClock(readTimeParam());
+    const palette = paletteById(loadPaletteChoice());
+    const refresh = () => applyCircadianTheme(getCircadianProfile(clock.now(), getLocation(), palette));
+    refresh();
+    const timer = setInterval(refresh, REFRESH_MS);
+    return () => clearInterval(timer);
+  }, []);
+  return null;
+}
@@ -0,0 +1,55 @@
+"use client";
+
+/*
+ * Audio preferences — mixer levels and whether sound was on, persisted
+ * across visits in localStorage. Stored shape: { version, enabled, mix }.
+ */
+
+import { MIX_DEFAULTS } from "./music.js";
+
+const STORAGE_KEY = "nikolaionken:audio";
+const SCHEMA_VERSION = 1;
+
+function getStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (e) {
+    return null; // storage disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+/* Known levels only, clamped to 0-1; anything missing falls back to the default */
+function sanitizeMix(mix) {
+  const clean = { ...MIX_DEFAULTS };
+  if (!mix || typeof mix !== "object") return clean;
+  for (const key of Object.keys(MIX_DEFAULTS)) {
+    const v = mix[key];
+    if (typeof v === "number" && Number.isFinite(v)) clean[key] = Math.max(0, Math.min(1, v));
+  }
+  return clean;
+}
+
+/* Load saved preferences: { enabled: boolean, mix } or null */
+export function loadAudioSettings() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+  if (!raw || typeof raw !== "object" || raw.version !== SCHEMA_VERSION) return null;
+
+  return { enabled: raw.enabled === true, mix: sanitizeMix(raw.mix) };
+}
+
+export function saveAudioSettings({ enabled, mix }) {
+  const storage = getStorage();
+  if (!storage) return;
+  const record = { version: SCHEMA_VERSION, enabled: !!enabled, mix: sanitizeMix(mix) };
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch (e) { /* quota exceeded or storage disabled */ }
+}
@@ -2,75 +2,90 @@
 
 /*
  * Circadian rhythm — the organism changes with the time of day.
- * Returns color palette, physics parameters, and music mood.
+ * Returns color palette, physics parameters, and music mood; the colors,
+ * motion and music of each phase come from a palette (palettes.js).
+ * Phases follow the real sky at the visitor's location (solar.js): dawn runs
+ * from civil dawn to an hour after sunrise, dusk from an hour before sunset
+ * to civil dusk, so they stretch and shrink with the seasons.
+ * Each phase is a keyframe at the middle of its window; every field eases
+ * between neighbouring keyframes, so the profile never jumps.
+ * A seasonal layer (seasons.js) warms or cools the palette and tempo, and the
+ * moon's phase brightens the night glow.
  */
 
-const PHASES = [
-  {
-    name: "night",
-    start: 20,
-    end: 5,
-    bg: [10, 10, 15],
-    primary: { h: 174, s: 70, l: 55 },    // deep teal bioluminescence
-    secondary: { h: 220, s: 60, l: 40 },   // midnight blue
-    accent: { h: 174, s: 80, l: 65 },
-    particleSpeed: 0.6,
-    breathRate: 0.3,
-    trailLength: 10,
-    musicMood: "ambient",
-    glowIntensity: 0.6,
-    scale: "aeolian",
-  },
-  {
-    name: "dawn",
-    start: 5,
-    end: 8,
-    bg: [15, 12, 18],
-    primary: { h: 30, s: 70, l: 60 },      // warm amber
-    secondary: { h: 340, s: 40, l: 45 },    // rose
-    accent: { h: 45, s: 80, l: 70 },
-    particleSpeed: 0.8,
-    breathRate: 0.5,
-    trailLength: 8,
-    musicMood: "contemplative",
-    glowIntensity: 0.5,
-    scale: "pentatonic",
-  },
-  {
-    name: "day",
-    start: 8,
-    end: 17,
-    bg: [10, 12, 18],
-    primary: { h: 174, s: 75, l: 58 },     // bright teal
-    secondary: { h: 160, s: 50, l: 45 },    // sea green
-    accent: { h: 45, s: 90, l: 65 },        // gold
-    particleSpeed: 1.0,
-    breathRate: 0.7,
-    trailLength: 6,
-    musicMood: "rhythmic",
-    glowIntensity: 0.4,
-    scale: "major",
-  },
-  {
-    name: "dusk",
-    start: 17,
-    end: 20,
-    bg: [18, 10, 20],
-    primary: { h: 280, s: 50, l: 50 },     // purple
-    secondary: { h: 340, s: 60, l: 50 },    // rose-pink
-    accent: { h: 30, s: 80, l: 55 },        // amber
-    particleSpeed: 0.75,
-    breathRate: 0.4,
-    trailLength: 9,
-    musicMood: "melancholic",
-    glowIntensity: 0.55,
-    scale: "dorian",
-  },
-];
-
-function inRange(hour, start, end) {
-  if (start < end) return hour >= start && hour < end;
-  return hour >= start || hour < end; // wraps midnight
+import { solarEvents, SUNRISE_ALTITUDE, CIVIL_ALTITUDE } from "./solar.js";
+import { getLocation } from "./geolocation.js";
+import { seasonOf, moonPhase } from "./seasons.js";
+import { PHASE_NAMES, DEFAULT_PALETTE, paletteById } from "./palettes.js";
+
+const GOLDEN_HOURS = 1; // dawn/dusk reach this far into daylight
+
+// Seasonal layer — at full warmth (midsummer) hues lean this far toward amber,
+// at full cold toward ice blue; motion and breathing speed up or slow down
+const DEG = Math.PI / 180;
+const WARM_HUE = 35;
+const COLD_HUE = 205;
+const SEASON_HUE_SHIFT = 0.12;
+const SEASON_TEMPO = 0.12;
+
+// How much the moon counts in each phase, and what a full one adds to the glow
+const MOON_VISIBILITY = { night: 1, dawn: 0.4, day: 0.1, dusk: 0.4 };
+const MOONLIGHT_GLOW = 0.12;
+
+function localHour(date) {
+  return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+}
+
+function wrapHour(hour) {
+  return ((hour % 24) + 24) % 24;
+}
+
+/*
+ * Phase windows for the day containing `date` — pure given a location.
+ * Returns [{ name, start, duration }] in local clock hours, cycle order,
+ * skipping phases the sky has no room for (no night under the midnight sun).
+ */
+export function circadianWindows(date, location) {
+  const e = solarEvents(date, location);
+  const noon = localHour(e.noon);
+  // Clock hours counted from this noon, unwrapped — a sunset just after
+  // midnight (white nights) lands at 24.x rather than 0.x
+  const hourOf = (event) => noon + (event - e.noon) / 3600000;
+
+  // Polar night without twilight, or a sun that never sets
+  if (!e.dawn && e.noonAltitude < CIVIL_ALTITUDE) return [{ name: "night", start: 0, duration: 24 }];
+  if (!e.sunset && e.midnightAltitude > SUNRISE_ALTITUDE) return [{ name: "day", start: 0, duration: 24 }];
+
+  // Missing events collapse their phase onto solar noon or midnight
+  let dayStart = e.sunrise ? hourOf(e.sunrise) + GOLDEN_HOURS : noon;
+  let duskStart = e.sunset ? hourOf(e.sunset) - GOLDEN_HOURS : noon;
+  if (dayStart > duskStart) dayStart = duskStart = (dayStart + duskStart) / 2; // short winter day
+  const starts = {
+    night: e.dusk ? hourOf(e.dusk) : noon + 12,
+    dawn: e.dawn ? hourOf(e.dawn) : noon + 12,
+    day: dayStart,
+    dusk: duskStart,
+  };
+
+  const windows = [];
+  for (let i = 0; i < PHASE_NAMES.length; i++) {
+    const name = PHASE_NAMES[i];
+    const start = wrapHour(starts[name]);
+    const duration = wrapHour(starts[PHASE_NAMES[(i + 1) % PHASE_NAMES.length]] - starts[name]);
+    if (duration > 0) windows.push({ name, start, duration });
+  }
+  // Every phase squeezed out — hold the side of the horizon the sun is on at noon
+  if (windows.length === 0) return [{ name: e.noonAltitude > SUNRISE_ALTITUDE ? "day" : "night", start: 0, duration: 24 }];
+  return windows;
+}
+
+/* Keyframes on the 24 h curve — each phase peaks at the middle of its window */
+function circadianKeyframes(windows) {
+  return windows.map(({ name, start, duration }) => ({ name, hour: wrapHour(start + duration / 2) }));
+}
+
+function smoothstep(t) {
+  return t * t * (3 - 2 * t);
 }
 
 function lerp(a, b, t) {
@@ -89,54 +104,72 @@ function lerpColor(c1, c2, t) {
   };
 }
 
-export function getCircadianProfile() {
-  const now = new Date();
-  const hour = now.getHours() + now.getMinutes() / 60;
-
-  // Find current and next phase
-  let current = PHASES[0]; // default night
-  let next = PHASES[1];
-  for (let i = 0; i < PHASES.length; i++) {
-    if (inRange(hour, PHASES[i].start, PHASES[i].end)) {
-      current = PHASES[i];
-      next = PHASES[(i + 1) % PHASES.length];
+/*
+ * Lean a color's hue toward amber (warmth > 0) or ice blue (warmth < 0).
+ * Hues blend as directions on the color wheel, so one opposite the target
+ * is left alone instead of flipping between leaning left and right.
+ */
+function seasonalColor(color, warmth) {
+  const k = Math.abs(warmth) * SEASON_HUE_SHIFT;
+  const h = color.h * DEG;
+  const target = (warmth > 0 ? WARM_HUE : COLD_HUE) * DEG;
+  const x = Math.cos(h) * (1 - k) + Math.cos(target) * k;
+  const y = Math.sin(h) * (1 - k) + Math.sin(target) * k;
+  return { h: (Math.atan2(y, x) / DEG + 360) % 360, s: color.s, l: color.l };
+}
+
+/* Profile for a moment and place in a palette; defaults to now, wherever the visitor is */
+export function getCircadianProfile(date = new Date(), location = getLocation(), palette = paletteById(DEFAULT_PALETTE)) {
+  const hour = localHour(date);
+  const windows = circadianWindows(date, location);
+
+  // The phase we're in, for naming
+  const { name } = windows.find(w => wrapHour(hour - w.start) < w.duration) ?? windows[0];
+
+  // The keyframes either side — a lone keyframe (polar day or night) holds all day
+  const keys = circadianKeyframes(windows);
+  let index = keys.length - 1;
+  for (let i = 0; i < keys.length; i++) {
+    const span = wrapHour(keys[(i + 1) % keys.length].hour - keys[i].hour) || 24;
+    if (wrapHour(hour - keys[i].hour) < span) {
+      index = i;
       break;
     }
   }
+  const from = keys[index];
+  const to = keys[(index + 1) % keys.length];
+  const current = palette.phases[from.name];
+  const next = palette.phases[to.name];
+  const span = wrapHour(to.hour - from.hour) || 24;
+  const t = smoothstep(wrapHour(hour - from.hour) / span);
 
-  // Calculate blend factor within current phase
-  let duration, elapsed;
-  if (current.start < current.end) {
-    duration = current.end - current.start;
-    elapsed = hour - current.start;
-  } else {
-    duration = (24 - current.start) + current.end;
-    elapsed = hour >= current.start ? hour - current.start : hour + (24 - current.start);
-  }
-
-  // Blend near edges for smooth transitions
-  const t = elapsed / duration;
-  const edgeFade = t > 0.7 ? (t - 0.7) / 0.3 : 0;
+  const season = seasonOf(date, location.latitude);
+  const tempo = 1 + season.warmth * SEASON_TEMPO;
+  const moon = moonPhase(date);
+  moon.visibility = lerp(MOON_VISIBILITY[from.name], MOON_VISIBILITY[to.name], t);
+  const dominant = t < 0.5 ? current : next;
 
   return {
-    name: current.name,
-    bg: current.bg.map((v, i) => Math.round(lerp(v, next.bg[i], edgeFade))),
-    primary: lerpColor(current.primary, next.primary, edgeFade),
-    secondary: lerpColor(current.secondary, next.secondary, edgeFade),
-    accent: lerpColor(current.accent, next.accent, edgeFade),
-    particleSpeed: lerp(current.particleSpeed, next.particleSpeed, edgeFade),
-    breathRate: lerp(current.breathRate, next.breathRate, edgeFade),
-    trailLength: Math.round(lerp(current.trailLength, next.trailLength, edgeFade)),
-    musicMood: current.musicMood,
-    glowIntensity: lerp(current.glowIntensity, next.glowIntensity, edgeFade),
-    scale: current.scale,
+    name,
+    bg: current.bg.map((v, i) => Math.round(lerp(v, next.bg[i], t))),
+    primary: seasonalColor(lerpColor(current.primary, next.primary, t), season.warmth),
+    secondary: seasonalColor(lerpColor(current.secondary, next.secondary, t), season.warmth),
+    accent: seasonalColor(lerpColor(current.accent, next.accent, t), season.warmth),
+    particleSpeed: lerp(current.particleSpeed, next.particleSpeed, t) * tempo,
+    breathRate: lerp(current.breathRate, next.breathRate, t) * tempo,
+    trailLength: Math.round(lerp(current.trailLength, next.trailLength, t)),
+    musicMood: dominant.musicMood,
+    glowIntensity: lerp(current.glowIntensity, next.glowIntensity, t) +
+      moon.illumination * moon.visibility * MOONLIGHT_GLOW,
+    scale: dominant.scale,
+    // Where the music is between keyframes — MusicEngine crossfades mood and scale
+    musicBlend: {
+      from: { mood: current.musicMood, scale: current.scale },
+      to: { mood: next.musicMood, scale: next.scale },
+      amount: t,
+    },
+    season: season.name,
+    warmth: season.warmth,
+    moon,
   };
 }
-
-/* Musical scale definitions (semitones from root) */
-export const SCALES = {
-  major:         [0, 2, 4, 5, 7, 9, 11],
-  aeolian:       [0, 2, 3, 5, 7, 8, 10],
-  dorian:        [0, 2, 3, 5, 7, 9, 10],
-  pentatonic:    [0, 2, 4, 7, 9],
-};
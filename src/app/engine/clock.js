@@ -0,0 +1,53 @@
+"use client";
+
+/*
+ * Wall clock for the circadian profile — the real time, or a fixed time of
+ * day to preview the other phases (?time=HH:MM, or the scrubber in page.jsx).
+ * An overridden clock keeps today's date, so season and moon stay current.
+ */
+
+/* "HH:MM" to fractional hours (0 <= h < 24), or null */
+export function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? "").trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours + minutes / 60;
+}
+
+/* Fractional hours as "HH:MM" */
+export function formatTimeOfDay(hours) {
+  const total = Math.round(hours * 60) % 1440;
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${pad(Math.floor(total / 60))}:${pad(total % 60)}`;
+}
+
+/* Time of day from ?time=HH:MM, or null for the real clock */
+export function readTimeParam() {
+  if (typeof window === "undefined") return null;
+  return parseTimeOfDay(new URLSearchParams(window.location.search).get("time"));
+}
+
+/*
+ * Clock whose now() is the current Date, or today at `timeOfDay` hours while
+ * overridden. set(hours) pins it; set(null) returns to real time.
+ */
+export function createClock(timeOfDay = null) {
+  let override = timeOfDay;
+  return {
+    now() {
+      const date = new Date();
+      if (override === null) return date;
+      const seconds = Math.round(override * 3600);
+      date.setHours(Math.floor(seconds / 3600), Math.floor(seconds / 60) % 60, seconds % 60, 0);
+      return date;
+    },
+    get overridden() {
+      return override !== null;
+    },
+    set(hours) {
+      override = hours === null ? null : ((hours % 24) + 24) % 24;
+    },
+  };
+}
@@ -2,9 +2,14 @@
  * Memory data — pure data, no "use client" directive.
  * Importable from both server and client components.
  * year field on work nodes enables chronological spiral layout.
+ * Optional instrument field picks a melodic voice from instruments.js
+ * (otherwise root: pad, work: string, identity: bell).
+ * Optional melody field hand-authors the motif (see motif.js parseMelody);
+ * without it one is generated from label, year and connections.
+ * Optional long-form content (content/memories/<id>.md) is merged in below.
  */
 
-export const MEMORIES = [
+const NODES = [
   {
     id: "root",
     label: "nikolai onken",
@@ -154,3 +159,29 @@ export const MEMORIES = [
     connections: [],
   },
 ];
+
+/* Cardinal positions for identity nodes (angle in radians from east) — every identity id needs one */
+export const IDENTITY_ANGLES = {
+  coder: 0,                        // east
+  builder: Math.PI * 0.33,         // north-east
+  musician: Math.PI * 1.5,         // south
+  nature: Math.PI * 0.75,          // north-west-ish
+  humans: Math.PI * 1.15,          // south-west-ish
+  universe: Math.PI * 0.55,        // north
+};
+
+/* Front matter + markdown body per id — inlined by next.config.mjs at build time */
+const CONTENT = JSON.parse(process.env.MEMORY_CONTENT || "{}");
+
+export const MEMORIES = NODES.map((m) => ({ ...m, ...CONTENT[m.id], id: m.id }));
+
+/* Bidirectional connection lookup: id -> Set of connected ids (both edge directions) */
+export const CONNECTIONS = new Map();
+for (const m of MEMORIES) {
+  if (!CONNECTIONS.has(m.id)) CONNECTIONS.set(m.id, new Set());
+  for (const c of m.connections) {
+    CONNECTIONS.get(m.id).add(c);
+    if (!CONNECTIONS.has(c)) CONNECTIONS.set(c, new Set());
+    CONNECTIONS.get(c).add(m.id);
+  }
+}
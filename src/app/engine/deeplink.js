@@ -0,0 +1,44 @@
+"use client";
+
+/*
+ * Deep links — a memory id in the URL opens the organism focused on that node.
+ * Accepts /#cloud9 and /?memory=cloud9; always writes the hash form.
+ */
+
+import { MEMORIES } from "./data.js";
+
+const QUERY_PARAM = "memory";
+const _ids = new Set(MEMORIES.map(m => m.id));
+
+/* Decoded location hash, or null when it isn't valid percent-encoding (/#50%off) */
+function decodedHash() {
+  try {
+    return decodeURIComponent(window.location.hash.slice(1));
+  } catch (e) {
+    return null;
+  }
+}
+
+/* Memory id named by the current URL, or null if none / unknown */
+export function readDeepLink() {
+  if (typeof window === "undefined") return null;
+  const hash = decodedHash();
+  if (_ids.has(hash)) return hash;
+  const query = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+  if (query && _ids.has(query)) return query;
+  return null;
+}
+
+/* Point the URL at a memory; replace avoids a history entry per step (tour) */
+export function writeDeepLink(id, { replace = false } = {}) {
+  if (typeof window === "undefined") return;
+  const url = new URL(window.location.href);
+  url.searchParams.delete(QUERY_PARAM);
+  url.hash = id;
+  if (url.href === window.location.href) return;
+  if (replace) {
+    window.history.replaceState(window.history.state, "", url);
+  } else {
+    window.history.pushState(window.history.state, "", url);
+  }
+}
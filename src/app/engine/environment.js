@@ -0,0 +1,106 @@
+"use client";
+
+/*
+ * Host environment for the engine — viewport, clock, frame scheduling,
+ * offscreen canvases, window events, the page theme and the simulation worker.
+ * The browser environment wraps the real globals; the headless one lets Node
+ * step the simulation by hand.
+ */
+
+import { applyCircadianTheme } from "./theme.js";
+
+export function createBrowserEnvironment() {
+  return {
+    get width() { return window.innerWidth; },
+    get height() { return window.innerHeight; },
+    get dpr() { return window.devicePixelRatio || 1; },
+    now: () => performance.now(),
+    requestFrame: (fn) => requestAnimationFrame(fn),
+    cancelFrame: (id) => cancelAnimationFrame(id),
+    createCanvas: () => document.createElement("canvas"),
+    events: window,
+    openUrl: (url) => window.open(url, "_blank", "noopener,noreferrer"),
+    applyTheme: (profile) => applyCircadianTheme(profile),
+    createSimulationWorker: typeof Worker === "undefined"
+      ? null
+      : () => new Worker(new URL("./simulation.worker.js", import.meta.url), { type: "module" }),
+  };
+}
+
+/*
+ * 2D context that accepts every call and draws nothing.
+ * getImageData returns a transparent buffer, so text sampling yields no positions.
+ */
+export function createNoopContext(canvas) {
+  const gradient = { addColorStop() {} };
+  const methods = {
+    createRadialGradient: () => gradient,
+    createLinearGradient: () => gradient,
+    getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(Math.max(0, w * h * 4)) }),
+    measureText: () => ({ width: 0 }),
+  };
+  return new Proxy({ canvas }, {
+    get(target, prop) {
+      if (prop in target) return target[prop];
+      if (prop in methods) return methods[prop];
+      return () => {};
+    },
+    set(target, prop, value) {
+      target[prop] = value;
+      return true;
+    },
+  });
+}
+
+function createNoopCanvas(width = 0, height = 0) {
+  const canvas = new EventTarget();
+  canvas.width = width;
+  canvas.height = height;
+  canvas.style = {};
+  const ctx = createNoopContext(canvas);
+  canvas.getContext = (type) => (type === "2d" ? ctx : null); // no WebGL — renderer falls back to 2D
+  canvas.getBoundingClientRect = () => ({ left: 0, top: 0, width: canvas.width, height: canvas.height });
+  return canvas;
+}
+
+/*
+ * Headless environment: fixed viewport, manual clock, no-op canvases.
+ * tick(ms) advances the clock and runs the pending animation frame.
+ */
+export function createHeadlessEnvironment({ width = 1280, height = 800, dpr = 1 } = {}) {
+  let time = 0;
+  let nextId = 1;
+  let pending = null; // { id, fn }
+  const opened = [];
+
+  return {
+    width,
+    height,
+    dpr,
+    events: new EventTarget(),
+    opened, // urls the organism tried to open
+    now: () => time,
+    requestFrame(fn) {
+      pending = { id: nextId++, fn };
+      return pending.id;
+    },
+    cancelFrame(id) {
+      if (pending?.id === id) pending = null;
+    },
+    createCanvas: (w, h) => createNoopCanvas(w, h),
+    openUrl: (url) => opened.push(url),
+    applyTheme() {}, // no document to style
+    createSimulationWorker: null, // the simulation steps inline, in lockstep with tick()
+    tick(ms = 16) {
+      time += ms;
+      const frame = pending;
+      pending = null;
+      if (frame) frame.fn(time);
+    },
+    resize(w, h) {
+      this.width = w;
+      this.height = h;
+      this.events.dispatchEvent(new Event("resize"));
+    },
+  };
+}
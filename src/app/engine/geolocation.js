@@ -0,0 +1,73 @@
+"use client";
+
+/*
+ * Where the visitor's sky is — for sunrise and sunset in circadian.js.
+ * Defaults to a location guessed from the time zone; geolocation is opt-in
+ * (requestGeolocation) and the result, rounded to ~10 km, is remembered in
+ * localStorage. Stored shape: { version, latitude, longitude }.
+ */
+
+import { locationForTimeZone } from "./solar.js";
+
+const STORAGE_KEY = "nikolaionken:location";
+const SCHEMA_VERSION = 1;
+
+function getStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (e) {
+    return null; // storage disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+function isCoordinate(v, limit) {
+  return typeof v === "number" && Number.isFinite(v) && Math.abs(v) <= limit;
+}
+
+/* Location shared by the visitor on an earlier visit, or null */
+export function loadSavedLocation() {
+  const storage = getStorage();
+  if (!storage) return null;
+  let raw;
+  try {
+    raw = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+  if (!raw || raw.version !== SCHEMA_VERSION) return null;
+  if (!isCoordinate(raw.latitude, 90) || !isCoordinate(raw.longitude, 180)) return null;
+  return { latitude: raw.latitude, longitude: raw.longitude };
+}
+
+/* Best known location: shared > time zone guess */
+export function getLocation() {
+  const saved = loadSavedLocation();
+  if (saved) return saved;
+  let timeZone = null;
+  try {
+    timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch (e) { /* no Intl time zone support */ }
+  return locationForTimeZone(timeZone, -new Date().getTimezoneOffset());
+}
+
+/* Ask the browser for the visitor's position; resolves to the saved location or null */
+export function requestGeolocation() {
+  if (typeof navigator === "undefined" || !navigator.geolocation) return Promise.resolve(null);
+  return new Promise((resolve) => {
+    navigator.geolocation.getCurrentPosition(
+      ({ coords }) => {
+        // One decimal is plenty for twilight times and keeps the stored value coarse
+        const location = {
+          latitude: Math.round(coords.latitude * 10) / 10,
+          longitude: Math.round(coords.longitude * 10) / 10,
+        };
+        try {
+          getStorage()?.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, ...location }));
+        } catch (e) { /* quota exceeded or storage disabled */ }
+        resolve(location);
+      },
+      () => resolve(null), // denied or unavailable — keep the time zone guess
+      { maximumAge: 86400000, timeout: 15000 },
+    );
+  });
+}
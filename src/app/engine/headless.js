@@ -0,0 +1,93 @@
+/*
+ * Headless simulation harness — runs the Organism in Node without a browser.
+ * Step it frame by frame, drive synthetic input through the real input
+ * handlers, and assert on intro phases, discovery, completion and the tour.
+ *
+ *   const sim = createSimulation({ seed: 7 });
+ *   sim.advance(9000);              // intro done
+ *   sim.dwellOn("cloud9");          // discover by hovering
+ *   sim.organism.discovered.has("cloud9"); // true
+ *
+ * Pass `time` (hours, e.g. 21.5) to pin the circadian clock instead of
+ * following the real time of day.
+ */
+
+import { Organism } from "./organism.js";
+import { createHeadlessEnvironment } from "./environment.js";
+import { createClock } from "./clock.js";
+
+const FRAME_MS = 16;
+
+function pointerEvent(type, props) {
+  return Object.assign(new Event(type), props);
+}
+
+export function createSimulation({ seed = 1, width = 1280, height = 800, dpr = 1, time = null } = {}) {
+  const env = createHeadlessEnvironment({ width, height, dpr });
+  const canvas = env.createCanvas(width, height);
+  const organism = new Organism(canvas, { seed, env, clock: createClock(time) });
+  organism.start();
+
+  const sim = {
+    organism,
+    env,
+    canvas,
+
+    /* Run n frames of dt milliseconds */
+    step(frames = 1, dt = FRAME_MS) {
+      for (let i = 0; i < frames; i++) env.tick(dt);
+      return sim;
+    },
+
+    /* Run frames until ms of simulated time have passed */
+    advance(ms, dt = FRAME_MS) {
+      return sim.step(Math.ceil(ms / dt), dt);
+    },
+
+    /* Step until predicate() is true; false if maxMs elapses first */
+    until(predicate, maxMs = 30000, dt = FRAME_MS) {
+      for (let t = 0; t < maxMs; t += dt) {
+        if (predicate()) return true;
+        env.tick(dt);
+      }
+      return predicate();
+    },
+
+    moveCursor(x, y) {
+      canvas.dispatchEvent(pointerEvent("mousemove", { clientX: x, clientY: y }));
+      return sim;
+    },
+
+    leaveCanvas() {
+      canvas.dispatchEvent(pointerEvent("mouseleave", {}));
+      return sim;
+    },
+
+    touch(points) {
+      const touches = points.map((p, i) => ({ clientX: p.x, clientY: p.y, identifier: i }));
+      canvas.dispatchEvent(pointerEvent("touchstart", { touches }));
+      return sim;
+    },
+
+    release() {
+      canvas.dispatchEvent(pointerEvent("touchend", { touches: [] }));
+      return sim;
+    },
+
+    key(key, props = {}) {
+      env.events.dispatchEvent(pointerEvent("keydown", { key, ...props }));
+      return sim;
+    },
+
+    /* Hold the cursor on a memory's particle until it is discovered (or maxMs passes) */
+    dwellOn(id, maxMs = 5000) {
+      return sim.until(() => {
+        const position = organism.memoryPosition(id);
+        if (position) sim.moveCursor(position.x, position.y);
+        return organism.discovered.has(id);
+      }, maxMs);
+    },
+  };
+
+  return sim;
+}
@@ -4,14 +4,17 @@
  * Unified input handling: mouse, touch, gyroscope.
  * Normalizes all input to { x, y, pressure, active } in viewport coordinates.
  * Tracks swipe velocity, pinch distance, multi-touch state.
+ * env supplies the viewport and the window-level event target (see environment.js).
  */
 
-export function createInputHandler(canvas) {
+import { createBrowserEnvironment } from "./environment.js";
+
+export function createInputHandler(canvas, env = createBrowserEnvironment()) {
   const state = {
-    x: window.innerWidth / 2,
-    y: window.innerHeight / 2,
-    px: window.innerWidth / 2,
-    py: window.innerHeight / 2,
+    x: env.width / 2,
+    y: env.height / 2,
+    px: env.width / 2,
+    py: env.height / 2,
     active: false,
     pressure: 0,
     velocity: 0,
@@ -136,7 +139,7 @@ export function createInputHandler(canvas) {
   on(canvas, "touchstart", onTouchStart, { passive: false });
   on(canvas, "touchmove", onTouchMove, { passive: false });
   on(canvas, "touchend", onTouchEnd, { passive: true });
-  on(window, "deviceorientation", onDeviceOrientation, { passive: true });
+  on(env.events, "deviceorientation", onDeviceOrientation, { passive: true });
 
   function update(smoothing = 0.3) {
     const dx = state.x - state.px;
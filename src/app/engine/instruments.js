@@ -0,0 +1,113 @@
+/*
+ * Melodic voices — pure Web Audio graph builders, no "use client" directive
+ * (validate.js imports the names). Each voice schedules one note into `output`:
+ *   voice(ctx, output, { freq, duration, volume, brightness }, when, random)
+ * A memory picks its voice with the optional `instrument` field in data.js,
+ * otherwise by type via TYPE_INSTRUMENTS.
+ */
+
+/* Karplus-Strong plucked string — a noise burst through an averaging delay line */
+function string(ctx, output, { freq, duration, volume, brightness }, when, random) {
+  const sampleRate = ctx.sampleRate;
+  const bufferSize = Math.round(sampleRate / freq);
+  const totalSamples = Math.round(sampleRate * duration);
+
+  const buffer = ctx.createBuffer(1, totalSamples, sampleRate);
+  const data = buffer.getChannelData(0);
+
+  // Mood-dependent brightness: filter the initial noise
+  for (let i = 0; i < bufferSize; i++) {
+    data[i] = random() * 2 - 1;
+  }
+  // Low-pass the excitation for darker tones
+  if (brightness < 0.6) {
+    for (let i = 1; i < bufferSize; i++) {
+      data[i] = data[i] * brightness + data[i - 1] * (1 - brightness);
+    }
+  }
+
+  for (let i = bufferSize; i < totalSamples; i++) {
+    data[i] = (data[i - bufferSize] + data[i - bufferSize + 1]) * 0.498;
+  }
+
+  const source = ctx.createBufferSource();
+  source.buffer = buffer;
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(volume, when);
+  gain.gain.linearRampToValueAtTime(0, when + duration);
+  source.connect(gain);
+  gain.connect(output);
+  source.start(when);
+  source.stop(when + duration);
+}
+
+/* FM bell — inharmonic modulator whose index decays faster than the tone */
+function bell(ctx, output, { freq, duration, volume, brightness }, when) {
+  const carrier = ctx.createOscillator();
+  carrier.type = "sine";
+  carrier.frequency.value = freq;
+
+  const modulator = ctx.createOscillator();
+  modulator.type = "sine";
+  modulator.frequency.value = freq * 3.5;
+  const index = ctx.createGain();
+  index.gain.setValueAtTime(freq * (1 + brightness * 3), when);
+  index.gain.exponentialRampToValueAtTime(freq * 0.05, when + duration * 0.5);
+  modulator.connect(index);
+  index.connect(carrier.frequency);
+
+  const gain = ctx.createGain();
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(volume * 0.7, when + 0.005);
+  gain.gain.exponentialRampToValueAtTime(0.0001, when + duration);
+  carrier.connect(gain);
+  gain.connect(output);
+
+  for (const osc of [carrier, modulator]) {
+    osc.start(when);
+    osc.stop(when + duration);
+  }
+}
+
+/* Pad swell — detuned triangles through a low-pass, slow attack and release */
+function pad(ctx, output, { freq, duration, volume, brightness }, when) {
+  const filter = ctx.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = freq * (2 + brightness * 6);
+  filter.Q.value = 0.7;
+
+  const gain = ctx.createGain();
+  const attack = duration * 0.4;
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(volume * 0.5, when + attack);
+  gain.gain.linearRampToValueAtTime(0, when + duration);
+  filter.connect(gain);
+  gain.connect(output);
+
+  for (const cents of [-7, 0, 7]) {
+    const osc = ctx.createOscillator();
+    osc.type = "triangle";
+    osc.frequency.value = freq;
+    osc.detune.value = cents;
+    osc.connect(filter);
+    osc.start(when);
+    osc.stop(when + duration);
+  }
+}
+
+export const INSTRUMENTS = { string, bell, pad };
+
+export const DEFAULT_INSTRUMENT = "string";
+
+/* Voice per memory type when a node names none */
+export const TYPE_INSTRUMENTS = {
+  root: "pad",
+  work: "string",
+  identity: "bell",
+};
+
+/* Instrument name for a memory node — its own field, else its type's voice */
+export function instrumentFor(memory) {
+  if (Object.hasOwn(INSTRUMENTS, memory?.instrument ?? "")) return memory.instrument;
+  return TYPE_INSTRUMENTS[memory?.type] ?? DEFAULT_INSTRUMENT;
+}
@@ -0,0 +1,220 @@
+"use client";
+
+/*
+ * Constellation layout strategies.
+ * Each strategy maps MEMORIES to anchor positions:
+ *   (centerX, centerY, radiusX, radiusY, random) -> Map<id, { x, y }>
+ * Root sits at the center (timeline: start of the axis); radii are the viewport
+ * ellipse the layout must fill.
+ */
+
+import { MEMORIES, CONNECTIONS, IDENTITY_ANGLES } from "./data.js";
+
+const GOLDEN_ANGLE = 137.508 * (Math.PI / 180);
+
+/* Work nodes by year, oldest first */
+function workByYear() {
+  return MEMORIES
+    .filter(m => m.type === "work")
+    .sort((a, b) => (a.year || 2000) - (b.year || 2000));
+}
+
+/*
+ * Spiral: work nodes on a chronological golden-angle spiral (inner=recent),
+ * identity nodes at fixed cardinal angles near the edge.
+ */
+export function spiralLayout(centerX, centerY, radiusX, radiusY, random = Math.random) {
+  const positions = new Map();
+  positions.set("root", { x: centerX, y: centerY });
+
+  // Work nodes: chronological spiral from outer (oldest) to inner (newest)
+  // Spread wider across screen — 30-90% of radius
+  const workNodes = workByYear();
+  const workCount = workNodes.length;
+  for (let i = 0; i < workCount; i++) {
+    const t = workCount > 1 ? i / (workCount - 1) : 0.5;
+    const r = (0.90 - t * 0.60); // 0.90 → 0.30
+    const angle = i * GOLDEN_ANGLE;
+    positions.set(workNodes[i].id, {
+      x: centerX + Math.cos(angle) * radiusX * r,
+      y: centerY + Math.sin(angle) * radiusY * r,
+    });
+  }
+
+  // Identity nodes: pushed to far edges (85-95% radius)
+  for (const m of MEMORIES) {
+    if (m.type !== "identity") continue;
+    const angle = IDENTITY_ANGLES[m.id] ?? random() * Math.PI * 2;
+    const r = 0.85 + random() * 0.10; // 85-95% radius
+    positions.set(m.id, {
+      x: centerX + Math.cos(angle) * radiusX * r,
+      y: centerY + Math.sin(angle) * radiusY * r,
+    });
+  }
+
+  return positions;
+}
+
+/*
+ * Force-directed: Fruchterman-Reingold over the bidirectional connection graph,
+ * solved once in unit-ellipse space and scaled to the viewport on each call.
+ * Connected nodes pull together, everything repels, root is pinned at the center.
+ */
+let _forceSolution = null;
+
+function solveForceLayout() {
+  const ids = MEMORIES.map(m => m.id);
+  const n = ids.length;
+  const index = new Map(ids.map((id, i) => [id, i]));
+  const xs = new Float64Array(n);
+  const ys = new Float64Array(n);
+
+  // Deterministic start: work on the spiral, identity at its cardinal angle
+  const workNodes = workByYear();
+  workNodes.forEach((m, i) => {
+    const r = 0.9 - (workNodes.length > 1 ? i / (workNodes.length - 1) : 0.5) * 0.6;
+    xs[index.get(m.id)] = Math.cos(i * GOLDEN_ANGLE) * r;
+    ys[index.get(m.id)] = Math.sin(i * GOLDEN_ANGLE) * r;
+  });
+  MEMORIES.forEach((m, i) => {
+    if (m.type !== "identity") return;
+    const angle = IDENTITY_ANGLES[m.id] ?? (i / n) * Math.PI * 2;
+    xs[i] = Math.cos(angle) * 0.9;
+    ys[i] = Math.sin(angle) * 0.9;
+  });
+
+  const edges = [];
+  for (const [id, conns] of CONNECTIONS) {
+    for (const c of conns) {
+      if (id < c && index.has(id) && index.has(c)) edges.push([index.get(id), index.get(c)]);
+    }
+  }
+
+  const rootIdx = index.get("root");
+  const k = Math.sqrt(Math.PI / n); // ideal edge length in a unit-area disc
+  const minR = 0.25;
+  const maxR = 0.92;
+  const iterations = 300;
+  const dx = new Float64Array(n);
+  const dy = new Float64Array(n);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    const temperature = 0.1 * (1 - iter / iterations);
+    dx.fill(0);
+    dy.fill(0);
+
+    // Repulsion between every pair
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        const ox = xs[i] - xs[j];
+        const oy = ys[i] - ys[j];
+        const d2 = ox * ox + oy * oy || 1e-6;
+        const f = (k * k) / d2;
+        dx[i] += ox * f; dy[i] += oy * f;
+        dx[j] -= ox * f; dy[j] -= oy * f;
+      }
+    }
+
+    // Attraction along connections
+    for (const [a, b] of edges) {
+      const ox = xs[a] - xs[b];
+      const oy = ys[a] - ys[b];
+      const d = Math.sqrt(ox * ox + oy * oy) || 1e-6;
+      const f = d / k;
+      dx[a] -= ox * f; dy[a] -= oy * f;
+      dx[b] += ox * f; dy[b] += oy * f;
+    }
+
+    // Move, limited by temperature, and keep inside the viewport ring
+    for (let i = 0; i < n; i++) {
+      if (i === rootIdx) continue;
+      const len = Math.sqrt(dx[i] * dx[i] + dy[i] * dy[i]) || 1e-6;
+      const step = Math.min(len, temperature);
+      xs[i] += (dx[i] / len) * step;
+      ys[i] += (dy[i] / len) * step;
+      const r = Math.sqrt(xs[i] * xs[i] + ys[i] * ys[i]) || 1e-6;
+      const clamped = Math.max(minR, Math.min(maxR, r));
+      xs[i] *= clamped / r;
+      ys[i] *= clamped / r;
+    }
+    if (rootIdx !== undefined) {
+      xs[rootIdx] = 0;
+      ys[rootIdx] = 0;
+    }
+  }
+
+  const solution = new Map();
+  ids.forEach((id, i) => solution.set(id, { u: xs[i], v: ys[i] }));
+  return solution;
+}
+
+export function forceLayout(centerX, centerY, radiusX, radiusY) {
+  if (!_forceSolution) _forceSolution = solveForceLayout();
+  const positions = new Map();
+  for (const [id, { u, v }] of _forceSolution) {
+    positions.set(id, { x: centerX + u * radiusX, y: centerY + v * radiusY });
+  }
+  return positions;
+}
+
+/*
+ * Timeline axis geometry — horizontal, or vertical when the viewport is portrait.
+ * Root marks the start of the axis; years with work nodes get a tick.
+ */
+export function timelineAxis(centerX, centerY, radiusX, radiusY) {
+  const portrait = radiusY > radiusX;
+  const half = (portrait ? radiusY : radiusX) * 0.85;
+  const years = [...new Set(workByYear().map(m => m.year).filter(Boolean))];
+  const minYear = years[0] ?? 2000;
+  const maxYear = years[years.length - 1] ?? minYear;
+  const span = Math.max(1, maxYear - minYear);
+
+  // t: 0 = axis start (root), years occupy 0.12-1
+  const at = (t) => portrait
+    ? { x: centerX, y: centerY - half + t * half * 2 }
+    : { x: centerX - half + t * half * 2, y: centerY };
+  const yearT = (year) => 0.12 + (((year ?? minYear) - minYear) / span) * 0.88;
+
+  return {
+    portrait,
+    start: at(0),
+    end: at(1),
+    at,
+    yearT,
+    ticks: years.map(year => ({ year, ...at(yearT(year)) })),
+  };
+}
+
+/* Timeline: work nodes by year along the axis, identity parked along the far edge */
+export function timelineLayout(centerX, centerY, radiusX, radiusY) {
+  const axis = timelineAxis(centerX, centerY, radiusX, radiusY);
+  const positions = new Map();
+  positions.set("root", axis.start);
+
+  // Alternate sides of the axis; nodes sharing a year stack further out
+  const perYear = new Map();
+  const offset = (axis.portrait ? radiusX : radiusY) * 0.22;
+  for (const m of workByYear()) {
+    const stack = perYear.get(m.year) ?? 0;
+    perYear.set(m.year, stack + 1);
+    const side = (positions.size % 2 === 0 ? 1 : -1);
+    const dist = offset * (1 + stack * 0.8) * side;
+    const p = axis.at(axis.yearT(m.year));
+    positions.set(m.id, axis.portrait ? { x: p.x + dist, y: p.y } : { x: p.x, y: p.y + dist });
+  }
+
+  const identity = MEMORIES.filter(m => m.type === "identity");
+  identity.forEach((m, i) => {
+    const t = identity.length > 1 ? 0.1 + (i / (identity.length - 1)) * 0.8 : 0.5;
+    positions.set(m.id, axis.portrait
+      ? { x: centerX + radiusX * 0.92, y: centerY - radiusY + t * radiusY * 2 }
+      : { x: centerX - radiusX + t * radiusX * 2, y: centerY + radiusY * 0.92 });
+  });
+
+  return positions;
+}
+
+export const LAYOUTS = {
+  spiral: spiralLayout,
+  force: forceLayout,
+};
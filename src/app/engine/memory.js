@@ -2,27 +2,18 @@
 
 /*
  * Memory system — content nodes that live inside the organism.
- * Constellation layout: work nodes on chronological spiral, identity at cardinal positions.
+ * Constellation layout: pluggable strategies (layout.js) — spiral by default, or force-directed.
  * Flowing connection streams between related nodes.
  */
 
-import { MEMORIES } from "./data.js";
+import { MEMORIES, CONNECTIONS } from "./data.js";
+import { LAYOUTS, timelineLayout } from "./layout.js";
 export { MEMORIES };
 
-/* Generate a musical signature from a string (character -> pitch indices) */
-export function stringToMelody(str) {
-  const notes = [];
-  const clean = str.toLowerCase().replace(/[^a-z]/g, "");
-  for (let i = 0; i < Math.min(clean.length, 5); i++) {
-    notes.push((clean.charCodeAt(i) - 97) % 12);
-  }
-  return notes;
-}
-
 /* Sample text as particle positions using offscreen canvas */
-export function textToPositions(text, fontSize, maxWidth, maxHeight, step) {
+export function textToPositions(text, fontSize, maxWidth, maxHeight, step, createCanvas) {
   const s = step || 3;
-  const canvas = document.createElement("canvas");
+  const canvas = createCanvas ? createCanvas(maxWidth, maxHeight) : document.createElement("canvas");
   canvas.width = maxWidth;
   canvas.height = maxHeight;
   const ctx = canvas.getContext("2d");
@@ -47,29 +38,9 @@ export function textToPositions(text, fontSize, maxWidth, maxHeight, step) {
   return positions;
 }
 
-/* Build a bidirectional connection lookup for fast querying */
-const _connectionMap = new Map();
-for (const m of MEMORIES) {
-  if (!_connectionMap.has(m.id)) _connectionMap.set(m.id, new Set());
-  for (const c of m.connections) {
-    _connectionMap.get(m.id).add(c);
-    if (!_connectionMap.has(c)) _connectionMap.set(c, new Set());
-    _connectionMap.get(c).add(m.id);
-  }
-}
-
-/* Cardinal positions for identity nodes (angle in radians from east) */
-const IDENTITY_ANGLES = {
-  coder: 0,                        // east
-  builder: Math.PI * 0.33,         // north-east
-  musician: Math.PI * 1.5,         // south
-  nature: Math.PI * 0.75,          // north-west-ish
-  humans: Math.PI * 1.15,          // south-west-ish
-  universe: Math.PI * 0.55,        // north
-};
-
 export class MemorySystem {
-  constructor() {
+  constructor(random = Math.random) {
+    this.random = random;
     this.nodes = new Map();
     this.discovered = new Set();
     this.activeNode = null;
@@ -81,9 +52,12 @@ export class MemorySystem {
     this.connectionTrails = [];
     this.isTouch = false;
     this.warmTarget = null;
+    this.layout = "spiral";
+    this.timeline = false; // timeline mode overrides the layout strategy
 
     // Flowing connection streams (persistent, not temporary trails)
     this.flowStreams = [];
+    this.streamSpeed = 1; // multiplier, driven by the music's mid band while sound is on
 
     // Shockwave effects
     this.shockwaves = [];
@@ -94,12 +68,12 @@ export class MemorySystem {
         particle: null,
         discovered: false,
         musicPlayed: false,
-        pulsePhase: Math.random() * Math.PI * 2,
+        pulsePhase: this.random() * Math.PI * 2,
         anchorX: null,
         anchorY: null,
         // Enhanced visual state
-        flickerPhase: Math.random() * Math.PI * 2,
-        flickerSpeed: 0.8 + Math.random() * 1.5,
+        flickerPhase: this.random() * Math.PI * 2,
+        flickerSpeed: 0.8 + this.random() * 1.5,
         approachGlow: 0, // 0-1: how close cursor is (gravitational lensing)
         resonancePulse: 0, // 0-1: pulse intensity for post-completion resonance
       });
@@ -117,48 +91,26 @@ export class MemorySystem {
     }
   }
 
+  /* Switch layout strategy (see layout.js) — takes effect on the next computeAnchors */
+  setLayout(name) {
+    if (!LAYOUTS[name]) return false;
+    this.layout = name;
+    return true;
+  }
+
   /*
-   * Compute constellation layout positions.
-   * Root: center. Work: chronological spiral (inner=recent). Identity: cardinal edges.
+   * Compute constellation layout positions with the active strategy.
+   * Root: center. Spiral — work: chronological spiral, identity: cardinal edges.
+   * Force — connected nodes cluster together. Timeline — work nodes along a year axis.
    */
   computeConstellationLayout(centerX, centerY, radiusX, radiusY) {
-    const GOLDEN_ANGLE = 137.508 * (Math.PI / 180);
-
-    // Sort work nodes by year (oldest first = outermost)
-    const workNodes = MEMORIES
-      .filter(m => m.type === "work")
-      .sort((a, b) => (a.year || 2000) - (b.year || 2000));
-
-    const identityNodes = MEMORIES.filter(m => m.type === "identity");
-
-    // Root: center
-    const rootNode = this.nodes.get("root");
-    if (rootNode) {
-      rootNode.anchorX = centerX;
-      rootNode.anchorY = centerY;
-    }
-
-    // Work nodes: chronological spiral from outer (oldest) to inner (newest)
-    // Spread wider across screen — 30-90% of radius
-    const workCount = workNodes.length;
-    for (let i = 0; i < workCount; i++) {
-      const node = this.nodes.get(workNodes[i].id);
-      if (!node) continue;
-      const t = workCount > 1 ? i / (workCount - 1) : 0.5;
-      const r = (0.90 - t * 0.60); // 0.90 → 0.30
-      const angle = i * GOLDEN_ANGLE;
-      node.anchorX = centerX + Math.cos(angle) * radiusX * r;
-      node.anchorY = centerY + Math.sin(angle) * radiusY * r;
-    }
-
-    // Identity nodes: pushed to far edges (85-95% radius)
-    for (const m of identityNodes) {
-      const node = this.nodes.get(m.id);
+    const layout = this.timeline ? timelineLayout : LAYOUTS[this.layout];
+    const positions = layout(centerX, centerY, radiusX, radiusY, this.random);
+    for (const [id, pos] of positions) {
+      const node = this.nodes.get(id);
       if (!node) continue;
-      const angle = IDENTITY_ANGLES[m.id] ?? Math.random() * Math.PI * 2;
-      const r = 0.85 + Math.random() * 0.10; // 85-95% radius
-      node.anchorX = centerX + Math.cos(angle) * radiusX * r;
-      node.anchorY = centerY + Math.sin(angle) * radiusY * r;
+      node.anchorX = pos.x;
+      node.anchorY = pos.y;
     }
   }
 
@@ -237,7 +189,7 @@ export class MemorySystem {
     }
 
     // Create connection trails
-    const connections = _connectionMap.get(id);
+    const connections = CONNECTIONS.get(id);
     if (connections) {
       for (const connId of connections) {
         if (this.discovered.has(connId)) {
@@ -256,11 +208,41 @@ export class MemorySystem {
     this.previousNode = this.activeNode;
     this.activeNode = id;
 
-    if (this.isTouch && navigator.vibrate) {
-      navigator.vibrate(10);
+    return node;
+  }
+
+  /* Mark saved discoveries without replaying shockwaves, trails or melodies */
+  restore(ids) {
+    for (const id of ids) {
+      const node = this.nodes.get(id);
+      if (!node || node.discovered) continue;
+      node.discovered = true;
+      node.musicPlayed = true;
+      this.discovered.add(id);
+      const connections = CONNECTIONS.get(id);
+      if (!connections) continue;
+      for (const connId of connections) {
+        if (this.discovered.has(connId)) this._addFlowStream(id, connId);
+      }
     }
+  }
 
-    return node;
+  /* Forget all discoveries — nodes return to their undiscovered state */
+  reset() {
+    for (const [, node] of this.nodes) {
+      node.discovered = false;
+      node.musicPlayed = false;
+      node.approachGlow = 0;
+      node.resonancePulse = 0;
+    }
+    this.discovered.clear();
+    this.activeNode = null;
+    this.previousNode = null;
+    this.dwellTime = 0;
+    this.dwellTarget = null;
+    this.warmTarget = null;
+    this.connectionTrails = [];
+    this.flowStreams = [];
   }
 
   _addFlowStream(fromId, toId) {
@@ -273,15 +255,15 @@ export class MemorySystem {
       from: fromId,
       to: toId,
       particles: [
-        { t: 0, speed: 0.15 + Math.random() * 0.1 },
-        { t: 0.33, speed: 0.12 + Math.random() * 0.1 },
-        { t: 0.66, speed: 0.18 + Math.random() * 0.1 },
+        { t: 0, speed: 0.15 + this.random() * 0.1 },
+        { t: 0.33, speed: 0.12 + this.random() * 0.1 },
+        { t: 0.66, speed: 0.18 + this.random() * 0.1 },
       ],
     });
   }
 
   pulseConnected(id) {
-    const connections = _connectionMap.get(id);
+    const connections = CONNECTIONS.get(id);
     if (!connections) return;
     for (const connId of connections) {
       const node = this.nodes.get(connId);
@@ -315,7 +297,7 @@ export class MemorySystem {
     // Update flow stream particles
     for (const stream of this.flowStreams) {
       for (const p of stream.particles) {
-        p.t += dt * 0.001 * p.speed;
+        p.t += dt * 0.001 * p.speed * this.streamSpeed;
         if (p.t > 1) p.t -= 1;
       }
     }
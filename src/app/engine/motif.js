@@ -0,0 +1,91 @@
+/*
+ * Motifs — a memory's melodic signature. Pure functions, no "use client"
+ * directive: the same memory always yields the same motif.
+ * The whole label steers the pitch contour, the year sets the opening
+ * register, and the connection count sets phrase length and rhythmic
+ * density. A hand-authored `melody` in data.js takes precedence.
+ *
+ * A motif is an array of { degree, length }: scale degree (0 = tonic,
+ * 7 = an octave up) and length in sequencer 16ths.
+ */
+
+import { CONNECTIONS } from "./data.js";
+import { createRandom, hashSeed } from "./random.js";
+
+const MIN_NOTES = 3;
+const MAX_NOTES = 8;
+export const MAX_DEGREE = 13; // two octaves of a 7-note scale
+const INTERVALS = [-2, -1, 1, 2, 3, -3, 1, -1, 4]; // indexed by character code
+const MAX_LEAP = 4; // a span's summed intervals fold into -MAX_LEAP..MAX_LEAP
+const CADENCE_DEGREES = [0, 2, 4, 7, 9, 11]; // tonic triad over two octaves
+const CADENCE_LENGTH = 4; // the last note rings for a beat
+
+/* Fold a degree back into 0..MAX_DEGREE, like a melody turning at the edge of its range */
+function reflect(degree) {
+  if (degree < 0) return -degree;
+  if (degree > MAX_DEGREE) return 2 * MAX_DEGREE - degree;
+  return degree;
+}
+
+/*
+ * Step for the span-th of `spans` equal slices of the label: the summed
+ * intervals of its characters, folded into a leap of at most MAX_LEAP.
+ * The slices cover every character, and swapping one for a character with
+ * another interval always changes the step (INTERVALS span less than the fold).
+ */
+function spanStep(chars, span, spans) {
+  const from = Math.floor((span * chars.length) / spans);
+  const to = Math.floor(((span + 1) * chars.length) / spans);
+  let sum = 0;
+  for (let c = from; c < to; c++) sum += INTERVALS[chars.charCodeAt(c) % INTERVALS.length];
+  const fold = 2 * MAX_LEAP + 1;
+  return (((sum + MAX_LEAP) % fold) + fold) % fold - MAX_LEAP;
+}
+
+function nearestCadence(degree) {
+  return CADENCE_DEGREES.reduce((best, d) => (Math.abs(d - degree) < Math.abs(best - degree) ? d : best));
+}
+
+/* Motif from a label plus optional year and connection count */
+export function generateMotif(label, { year = null, connections = 0 } = {}) {
+  const chars = String(label).toLowerCase().replace(/[^a-z0-9]/g, "");
+  if (chars.length === 0) return [];
+  const random = createRandom(hashSeed(`${chars}|${year ?? ""}|${connections}`));
+  const links = Math.min(connections, 4);
+
+  // Longer labels and better-connected memories say more
+  const count = Math.min(MAX_NOTES, MIN_NOTES + Math.floor(chars.length / 4) + Math.floor(links / 2));
+  // Busier nodes move in 16ths, quiet ones in 8ths
+  const density = 0.3 + links * 0.12;
+
+  // Opening register: the decade for dated work, the label otherwise
+  let degree = Number.isInteger(year) ? Math.floor(year / 10) % 5 : hashSeed(chars) % 5;
+
+  const motif = [];
+  for (let i = 0; i < count; i++) {
+    if (i > 0) degree = reflect(degree + spanStep(chars, i - 1, count - 1));
+    motif.push({ degree, length: random() < density ? 1 : 2 });
+  }
+
+  const last = motif[motif.length - 1];
+  last.degree = nearestCadence(last.degree);
+  last.length = CADENCE_LENGTH;
+  return motif;
+}
+
+/*
+ * Hand-authored melody from data.js: scale degrees, or [degree, length]
+ * pairs for notes longer than a 16th — e.g. [0, 2, [4, 2], 7].
+ */
+export function parseMelody(melody) {
+  return melody.map((note) => (Array.isArray(note)
+    ? { degree: note[0], length: note[1] }
+    : { degree: note, length: 1 }));
+}
+
+/* Motif for a memory node (or any { label, year, melody, id }) */
+export function motifFor(memory) {
+  if (Array.isArray(memory?.melody)) return parseMelody(memory.melody);
+  const connections = CONNECTIONS.get(memory?.id)?.size ?? 0;
+  return generateMotif(memory?.label ?? "", { year: memory?.year ?? null, connections });
+}
@@ -1,15 +1,26 @@
 "use client";
 
-import { SCALES } from "./circadian.js";
+import { SCALES } from "./palettes.js";
+import { INSTRUMENTS, DEFAULT_INSTRUMENT } from "./instruments.js";
 
 /*
  * Generative music engine.
  * - Additive synthesis: harmonic drone with independent LFOs for living timbre
- * - Chord progressions: slow morphing between scale degrees
- * - Karplus-Strong: plucked strings with velocity/duration variation
+ * - Chord progressions: slow morphing between scale degrees, rooted by season
+ * - Melodic voices (instruments.js): Karplus-Strong string, FM bell, pad swell,
+ *   with velocity/duration variation
  * - Circadian integration: mood shapes timbre, reverb, pitch
  * - Ambient texture layer: filtered noise bed
  * - All procedural, no samples.
+ * - Sequencer: a look-ahead clock on AudioContext time at a mood BPM;
+ *   melodies start on the next beat, notes land on 16ths, chords change on bars
+ * - Stereo: plucks pan to their particle's screen x; drones fan out across
+ *   the field and lean toward the cursor as modulate() moves
+ * - Analysis: an AnalyserNode on the output exposes amplitude and
+ *   bass/mid/treble energies (getLevels) for audio-reactive visuals
+ * - Mixer: master volume, per-layer levels (drones, texture, plucks), reverb wet/dry
+ * - Session recording: drones, chords, mood and plucks are logged as resolved
+ *   events and re-rendered through an OfflineAudioContext for export.
  */
 
 const BASE_FREQ = 110; // A2
@@ -20,22 +31,70 @@ function midiToFreq(semitones) {
 
 // Mood presets for circadian integration
 const MOOD_PARAMS = {
-  ambient: { pitchOffset: -1, reverbDecay: 4.0, brightness: 0.3, tremolo: 0, noteGap: 0.28 },
-  contemplative: { pitchOffset: 0, reverbDecay: 3.0, brightness: 0.5, tremolo: 0, noteGap: 0.24 },
-  rhythmic: { pitchOffset: 0, reverbDecay: 2.0, brightness: 0.8, tremolo: 0, noteGap: 0.18 },
-  melancholic: { pitchOffset: -0.5, reverbDecay: 3.5, brightness: 0.4, tremolo: 0.3, noteGap: 0.26 },
+  ambient: { pitchOffset: -1, reverbDecay: 4.0, brightness: 0.3, tremolo: 0, bpm: 60 },
+  contemplative: { pitchOffset: 0, reverbDecay: 3.0, brightness: 0.5, tremolo: 0, bpm: 72 },
+  rhythmic: { pitchOffset: 0, reverbDecay: 2.0, brightness: 0.8, tremolo: 0, bpm: 96 },
+  melancholic: { pitchOffset: -0.5, reverbDecay: 3.5, brightness: 0.4, tremolo: 0.3, bpm: 66 },
 };
 
-// Chord progressions per mood (scale degrees, 0-indexed)
-const CHORD_PROGRESSIONS = {
-  ambient:       [[0, 4], [3, 6], [4, 1], [2, 5]],       // sparse open voicings
-  contemplative: [[0, 2, 4], [3, 5, 0], [4, 6, 1]],      // triads
-  rhythmic:      [[0, 2, 4, 6], [3, 5, 0, 2], [4, 6, 1, 3], [5, 0, 2, 4]], // fuller
-  melancholic:   [[0, 2, 4], [5, 0, 3], [3, 5, 1], [4, 6, 2]],  // minor feel
+// Sequencer grid — a step is a 16th note; the look-ahead timer schedules
+// everything due within SCHEDULE_AHEAD seconds on the audio clock
+const STEPS_PER_BEAT = 4;
+const STEPS_PER_BAR = 16;
+const CHORD_BARS = 12; // ~48s at ambient tempo
+const SCHEDULE_AHEAD = 0.1;
+const SCHEDULER_INTERVAL_MS = 25;
+
+// Mixer levels, all 0-1; reverb is the wet share (dry = 1 - reverb)
+export const MIX_DEFAULTS = { master: 1, drones: 1, texture: 1, plucks: 1, reverb: 0.3 };
+
+// Analysis bands in Hz — getLevels() reports each as 0-1
+const LEVEL_BANDS = { bass: [20, 250], mid: [250, 2000], treble: [2000, 8000] };
+const AMPLITUDE_GAIN = 4; // output RMS rarely passes ~0.25
+
+// Stereo placement — screen edges map to ±PLUCK_PAN_WIDTH; drone n sits at DRONE_PANS[n]
+const PLUCK_PAN_WIDTH = 0.8;
+const DRONE_PANS = [0, -0.35, 0.35, -0.6, 0.6, -0.2];
+const MODULATE_PAN = 0.3; // how far drones lean toward the cursor
+
+/* Normalised screen x (0-1) to a StereoPanner value */
+function panFor(nx, width) {
+  const pan = (nx - 0.5) * 2 * width;
+  return Number.isFinite(pan) ? Math.max(-1, Math.min(1, pan)) : 0;
+}
+
+// Export covers at most the last RECORD_MAX_SECONDS, plus a reverb tail
+const RECORD_MAX_SECONDS = 180;
+const EXPORT_TAIL_SECONDS = 4;
+const REPLAY_STEP = 1 / 30; // offline update() rate, matches the live ~30fps throttle
+// Events that only matter when they happen — dropped before the export window
+const MOMENTARY_EVENTS = new Set(["pluck", "modulate"]);
+// Events that add up (one per harmonic) — all kept; any other event is state,
+// and before the window only its latest value matters
+const CUMULATIVE_EVENTS = new Set(["drone"]);
+const RECORD_PRUNE_AT = 4000; // log length that triggers pruning
+
+// Chord progressions: the season picks the root motion (scale degrees,
+// 0-indexed), the mood how the chord stacks on each root
+const SEASON_ROOTS = {
+  spring: [0, 3, 4, 5],  // I IV V vi — opening up
+  summer: [0, 4, 5, 3],  // I V vi IV — bright and cyclic
+  autumn: [5, 3, 0, 4],  // vi IV I V — starting in shadow
+  winter: [0, 5, 2, 6],  // I vi iii vii — sparse, unresolved
+};
+const MOOD_VOICINGS = {
+  ambient:       [0, 4],        // sparse open fifths
+  contemplative: [0, 2, 4],     // triads
+  rhythmic:      [0, 2, 4, 6],  // fuller sevenths
+  melancholic:   [0, 2, 5],     // root, third, sixth — minor feel
 };
 
+// Mood and scale crossfades move in steps of at least this much
+const BLEND_STEP = 0.02;
+
 export class MusicEngine {
-  constructor() {
+  constructor(random = Math.random) {
+    this.random = random;
     this.ctx = null;
     this.master = null;
     this.droneGain = null;
@@ -44,6 +103,12 @@ export class MusicEngine {
     this.initialized = false;
     this.currentScale = "aeolian";
     this.mood = "ambient";
+    // Crossfade toward the next circadian keyframe (setScale / setMood)
+    this._nextScale = this.currentScale;
+    this._scaleBlend = 0;
+    this._nextMood = this.mood;
+    this._moodBlend = 0;
+    this.season = "spring";
     this.generationCount = 0;
     this.reverbNode = null;
     this.pitchShift = 1.0;
@@ -56,8 +121,6 @@ export class MusicEngine {
 
     // Chord progression state
     this._chordIndex = 0;
-    this._chordTimer = 0;
-    this._chordInterval = 45000; // 45s between chord changes
     this._targetHarmonics = null;
 
     // Formant sweep
@@ -75,45 +138,136 @@ export class MusicEngine {
 
     // Update timer
     this._updateTimer = 0;
+
+    // Sequencer clock (see _schedule)
+    this._step = 0;          // next 16th to schedule
+    this._nextStepTime = 0;  // its AudioContext time
+    this._pending = [];      // queued notes: { step, semitones, duration, velocity, nx, instrument }
+    this._schedulerTimer = null;
+
+    // Mixer
+    this.mix = { ...MIX_DEFAULTS };
+
+    // Output analysis (live playback only)
+    this._analyser = null;
+    this._timeData = null;
+    this._freqData = null;
+
+    // Session recording (see renderRecording)
+    this._recording = [];
+    this._pruneAt = RECORD_PRUNE_AT;
+    this._recordStart = 0;
+    this._lastModulateAt = -Infinity;
+    this._replaying = false; // offline re-render: nothing is recorded, chords come from events
+    this._clock = null; // replay time override for _now()
   }
 
   init() {
     if (this.initialized) return;
-    this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    this._attach(new (window.AudioContext || window.webkitAudioContext)());
+    this._recordStart = this.ctx.currentTime;
+    this._record("scale", { scale: this.currentScale, next: this._nextScale, amount: this._scaleBlend });
+    this._record("mood", { mood: this.mood, next: this._nextMood, amount: this._moodBlend });
+    this._record("season", { season: this.season });
+    this._record("pitch", { factor: this.pitchShift });
+    this._record("mix", { mix: { ...this.mix } });
+
+    // Start with fundamental drone
+    this._addDrone(BASE_FREQ, 0.08);
+  }
+
+  /* Build the output graph (master, reverb, dry path, texture) on ctx */
+  _attach(ctx) {
+    this.ctx = ctx;
     this.initialized = true;
 
-    // Master output
+    // Master output — faded by enable/disable
     this.master = this.ctx.createGain();
     this.master.gain.value = 0;
 
+    // Layer buses into master
+    this._droneBus = this.ctx.createGain();
+    this._textureBus = this.ctx.createGain();
+    this._pluckBus = this.ctx.createGain();
+    this._droneBus.connect(this.master);
+    this._textureBus.connect(this.master);
+    this._pluckBus.connect(this.master);
+
+    // Master volume, after the wet/dry split
+    this._volume = this.ctx.createGain();
+    this._volume.connect(this.ctx.destination);
+
     // Create reverb
     this.reverbNode = this._createReverb(this._moodParams.reverbDecay);
     this._reverbGain = this.ctx.createGain();
-    this._reverbGain.gain.value = 0.3;
     this.master.connect(this._reverbGain);
     this._reverbGain.connect(this.reverbNode);
-    this.reverbNode.connect(this.ctx.destination);
+    this.reverbNode.connect(this._volume);
 
     // Dry path
     this._dryGain = this.ctx.createGain();
-    this._dryGain.gain.value = 0.7;
     this.master.connect(this._dryGain);
-    this._dryGain.connect(this.ctx.destination);
+    this._dryGain.connect(this._volume);
+
+    // Analyser taps the final output; offline renders have nothing to react to
+    if (!this._replaying) {
+      this._analyser = this.ctx.createAnalyser();
+      this._analyser.fftSize = 1024;
+      this._analyser.smoothingTimeConstant = 0.8;
+      this._volume.connect(this._analyser);
+      this._timeData = new Float32Array(this._analyser.fftSize);
+      this._freqData = new Float32Array(this._analyser.frequencyBinCount);
+    }
 
-    // Start with fundamental drone
-    this._addDrone(BASE_FREQ, 0.08);
+    this._applyMix(0);
 
     // Start ambient noise texture
     this._startAmbientTexture();
   }
 
+  /* Scheduling time — the audio clock, or the replay position when rendering offline */
+  _now() {
+    return this._clock ?? this.ctx.currentTime;
+  }
+
+  /* Log an event at audio time `at` (default now) for export */
+  _record(type, data, at) {
+    if (this._replaying || !this.ctx) return;
+    const t = (at ?? this.ctx.currentTime) - this._recordStart;
+    this._recording.push({ t, type, ...data });
+    if (this._recording.length > this._pruneAt) this._pruneRecording(t - RECORD_MAX_SECONDS);
+  }
+
+  /*
+   * Keep memory bounded: before the export window, drop momentary events and
+   * collapse state events (scale, mood, mix, pitch ...) into their latest
+   * value per type. The next prune waits for the log to double, so a busy
+   * window costs amortized O(1) per event rather than a filter per event.
+   */
+  _pruneRecording(cutoff) {
+    const kept = [];
+    const latest = new Map(); // state kind -> last event before the cutoff
+    for (const e of this._recording) {
+      if (e.t >= cutoff || CUMULATIVE_EVENTS.has(e.type)) {
+        kept.push(e);
+      } else if (!MOMENTARY_EVENTS.has(e.type)) {
+        const kind = e.type === "enable" || e.type === "disable" ? "power" : e.type;
+        if (!(latest.get(kind)?.t > e.t)) latest.set(kind, e);
+      }
+    }
+    if (kept.length + latest.size < this._recording.length) {
+      this._recording = [...latest.values(), ...kept];
+    }
+    this._pruneAt = Math.max(RECORD_PRUNE_AT, this._recording.length * 2);
+  }
+
   _createReverb(decay) {
     const length = this.ctx.sampleRate * (decay ?? 2.5);
     const impulse = this.ctx.createBuffer(2, length, this.ctx.sampleRate);
     for (let ch = 0; ch < 2; ch++) {
       const data = impulse.getChannelData(ch);
       for (let i = 0; i < length; i++) {
-        data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 2.5);
+        data[i] = (this.random() * 2 - 1) * Math.pow(1 - i / length, 2.5);
       }
     }
     const convolver = this.ctx.createConvolver();
@@ -121,7 +275,7 @@ export class MusicEngine {
     return convolver;
   }
 
-  _addDrone(freq, volume) {
+  _addDrone(freq, volume, lfo = null) {
     if (!this.ctx) return;
     const osc = this.ctx.createOscillator();
     osc.type = "sine";
@@ -129,18 +283,32 @@ export class MusicEngine {
 
     const gain = this.ctx.createGain();
     gain.gain.value = volume;
+    const basePan = DRONE_PANS[this.drones.length % DRONE_PANS.length];
+    const panner = this.ctx.createStereoPanner();
+    panner.pan.value = basePan;
     osc.connect(gain);
-    gain.connect(this.master);
-    osc.start();
+    gain.connect(panner);
+    panner.connect(this._droneBus);
+    osc.start(this._now());
 
-    // Initialize independent LFO for this harmonic
+    // Initialize independent LFO for this harmonic (replays pass the recorded one)
     const idx = this.drones.length;
-    this._lfoPhases[idx] = Math.random() * Math.PI * 2;
-    this._lfoRates[idx] = 0.02 + Math.random() * 0.06; // 0.02-0.08 Hz
-    this._detunePhases[idx] = Math.random() * Math.PI * 2;
-    this._detuneRates[idx] = 0.01 + Math.random() * 0.03; // slower
+    this._lfoPhases[idx] = lfo ? lfo.phase : this.random() * Math.PI * 2;
+    this._lfoRates[idx] = lfo ? lfo.rate : 0.02 + this.random() * 0.06; // 0.02-0.08 Hz
+    this._detunePhases[idx] = lfo ? lfo.detunePhase : this.random() * Math.PI * 2;
+    this._detuneRates[idx] = lfo ? lfo.detuneRate : 0.01 + this.random() * 0.03; // slower
+    this._record("drone", {
+      freq,
+      volume,
+      lfo: {
+        phase: this._lfoPhases[idx],
+        rate: this._lfoRates[idx],
+        detunePhase: this._detunePhases[idx],
+        detuneRate: this._detuneRates[idx],
+      },
+    });
 
-    this.drones.push({ osc, gain, baseFreq: freq, baseVolume: volume });
+    this.drones.push({ osc, gain, panner, basePan, baseFreq: freq, baseVolume: volume });
     return { osc, gain };
   }
 
@@ -153,7 +321,7 @@ export class MusicEngine {
     // Approximate pink noise with simple 1/f filter
     let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
     for (let i = 0; i < bufferSize; i++) {
-      const white = Math.random() * 2 - 1;
+      const white = this.random() * 2 - 1;
       b0 = 0.99886 * b0 + white * 0.0555179;
       b1 = 0.99332 * b1 + white * 0.0750759;
       b2 = 0.96900 * b2 + white * 0.1538520;
@@ -178,18 +346,80 @@ export class MusicEngine {
 
     this._noiseSource.connect(this._noiseFilter);
     this._noiseFilter.connect(this._noiseGain);
-    this._noiseGain.connect(this.master);
-    this._noiseSource.start();
+    this._noiseGain.connect(this._textureBus);
+    this._noiseSource.start(this._now());
   }
 
-  setScale(scaleName) {
+  /* Set any of MIX_DEFAULTS' levels (0-1); the rest keep their value */
+  setMix(levels) {
+    for (const key of Object.keys(MIX_DEFAULTS)) {
+      const v = levels?.[key];
+      if (typeof v === "number" && Number.isFinite(v)) this.mix[key] = Math.max(0, Math.min(1, v));
+    }
+    this._applyMix();
+    this._record("mix", { mix: { ...this.mix } });
+  }
+
+  _applyMix(smoothing = 0.05) {
+    if (!this.ctx) return;
+    const t = this._now();
+    const set = (param, value) => {
+      if (smoothing > 0) param.setTargetAtTime(value, t, smoothing);
+      else param.value = value;
+    };
+    set(this._volume.gain, this.mix.master);
+    set(this._droneBus.gain, this.mix.drones);
+    set(this._textureBus.gain, this.mix.texture);
+    set(this._pluckBus.gain, this.mix.plucks);
+    set(this._reverbGain.gain, this.mix.reverb);
+    set(this._dryGain.gain, 1 - this.mix.reverb);
+  }
+
+  /*
+   * Scale, optionally crossfading toward `next`: each new phrase and chord
+   * draws its notes from `next` with probability `amount`, so the incoming
+   * scale takes over a phrase at a time rather than mid-melody.
+   */
+  setScale(scaleName, next = scaleName, amount = 0) {
+    if (this.currentScale === scaleName && this._nextScale === next &&
+      Math.abs(this._scaleBlend - amount) < BLEND_STEP) return;
     this.currentScale = scaleName;
+    this._nextScale = next;
+    this._scaleBlend = amount;
+    this._record("scale", { scale: scaleName, next, amount });
   }
 
-  setMood(mood) {
-    if (this.mood === mood) return;
+  setSeason(season) {
+    if (this.season === season) return;
+    this.season = season;
+    this._record("season", { season });
+  }
+
+  /*
+   * Mood, optionally crossfading toward `next`: tempo, reverb, brightness and
+   * tremolo glide to the blend of both presets; chord voicings are drawn
+   * from either mood like scales in setScale.
+   */
+  setMood(mood, next = mood, amount = 0) {
+    if (this.mood === mood && this._nextMood === next &&
+      Math.abs(this._moodBlend - amount) < BLEND_STEP) return;
     this.mood = mood;
-    this._targetMoodParams = { ...(MOOD_PARAMS[mood] ?? MOOD_PARAMS.ambient) };
+    this._nextMood = next;
+    this._moodBlend = amount;
+    const a = MOOD_PARAMS[mood] ?? MOOD_PARAMS.ambient;
+    const b = MOOD_PARAMS[next] ?? a;
+    this._targetMoodParams = {};
+    for (const key of Object.keys(a)) {
+      this._targetMoodParams[key] = a[key] + (b[key] - a[key]) * amount;
+    }
+    this._record("mood", { mood, next, amount });
+  }
+
+  /* During a crossfade, `to` wins a growing share of choices as amount goes 0 → 1 */
+  _crossfadePick(from, to, amount) {
+    if (from === to || amount <= 0) return from;
+    if (amount >= 1) return to;
+    return this.random() < amount ? to : from;
   }
 
   /* Called each frame from the organism to drive LFOs and transitions */
@@ -202,7 +432,7 @@ export class MusicEngine {
     const elapsed = this._updateTimer;
     this._updateTimer = 0;
 
-    const t = this.ctx.currentTime;
+    const t = this._now();
     const dtSec = elapsed * 0.001;
 
     // ── Mood parameter interpolation ──
@@ -283,34 +513,88 @@ export class MusicEngine {
         t, 0.5
       );
     }
+  }
+
+  /* Seconds per 16th at the current (possibly blending) mood tempo */
+  _stepDuration() {
+    return 60 / this._moodParams.bpm / STEPS_PER_BEAT;
+  }
+
+  /*
+   * Look-ahead scheduler: runs on a short timer and schedules every step due
+   * within SCHEDULE_AHEAD on the audio clock, so timing never depends on when
+   * the timer fires. If the tab was throttled past whole steps, the grid (and
+   * anything queued on it) slides forward instead of bunching up.
+   */
+  _schedule() {
+    if (!this.ctx || !this.enabled) return;
+    const now = this.ctx.currentTime;
+    const missed = Math.floor((now - this._nextStepTime) / this._stepDuration());
+    if (missed > 0) {
+      this._nextStepTime += missed * this._stepDuration();
+      this._step += missed;
+      for (const note of this._pending) note.step += missed;
+    }
 
-    // ── Chord progression ──
-    this._chordTimer += elapsed;
-    if (this._chordTimer > this._chordInterval) {
-      this._chordTimer = 0;
-      this._advanceChord();
+    while (this._nextStepTime < now + SCHEDULE_AHEAD) {
+      this._playStep(this._step, this._nextStepTime);
+      this._nextStepTime += this._stepDuration();
+      this._step++;
     }
   }
 
-  _advanceChord() {
-    const progression = CHORD_PROGRESSIONS[this.mood] ?? CHORD_PROGRESSIONS.ambient;
-    this._chordIndex = (this._chordIndex + 1) % progression.length;
-    const chord = progression[this._chordIndex];
-    const scale = SCALES[this.currentScale] ?? SCALES.aeolian;
+  _playStep(step, time) {
+    // ── Chord progression on bar lines ──
+    if (step > 0 && step % (STEPS_PER_BAR * CHORD_BARS) === 0) this._advanceChord(time);
 
-    // Morph drone frequencies toward chord tones
-    const t = this.ctx.currentTime;
+    if (this._pending.length === 0) return;
+    const due = this._pending.filter(n => n.step <= step);
+    if (due.length === 0) return;
+    this._pending = this._pending.filter(n => n.step > step);
+    for (const n of due) this.pluck(n.semitones, n.duration, n.velocity, n.nx, time, n.instrument);
+  }
+
+  _startScheduler() {
+    if (this._schedulerTimer || this._replaying) return;
+    this._schedule();
+    this._schedulerTimer = setInterval(() => this._schedule(), SCHEDULER_INTERVAL_MS);
+  }
+
+  _stopScheduler() {
+    clearInterval(this._schedulerTimer);
+    this._schedulerTimer = null;
+    this._pending = [];
+  }
+
+  _advanceChord(at) {
+    const roots = SEASON_ROOTS[this.season] ?? SEASON_ROOTS.spring;
+    const mood = this._crossfadePick(this.mood, this._nextMood, this._moodBlend);
+    const voicing = MOOD_VOICINGS[mood] ?? MOOD_VOICINGS.ambient;
+    this._chordIndex = (this._chordIndex + 1) % roots.length;
+    const chord = voicing.map(v => roots[this._chordIndex] + v);
+    const scale = SCALES[this._crossfadePick(this.currentScale, this._nextScale, this._scaleBlend)] ?? SCALES.aeolian;
+
+    const freqs = [];
     for (let i = 0; i < this.drones.length && i < chord.length; i++) {
       const degree = chord[i];
       const semitone = scale[degree % scale.length] ?? 0;
       const octave = Math.floor(degree / scale.length);
-      const newFreq = BASE_FREQ * Math.pow(2, (semitone + octave * 12) / 12);
-      this.drones[i].baseFreq = newFreq;
+      freqs.push(BASE_FREQ * Math.pow(2, (semitone + octave * 12) / 12));
+    }
+    this._applyChord(freqs, at);
+  }
+
+  /* Morph drone frequencies toward chord tones, starting at audio time `at` */
+  _applyChord(freqs, at = this._now()) {
+    const t = at;
+    for (let i = 0; i < this.drones.length && i < freqs.length; i++) {
+      this.drones[i].baseFreq = freqs[i];
       this.drones[i].osc.frequency.linearRampToValueAtTime(
-        newFreq * this.pitchShift,
+        freqs[i] * this.pitchShift,
         t + 8 // slow 8s crossfade to new chord
       );
     }
+    this._record("chord", { freqs }, t);
   }
 
   /* Called when particles bloom to a new generation */
@@ -327,10 +611,15 @@ export class MusicEngine {
     }
   }
 
-  /* Modulate drones based on cursor position */
+  /* Modulate drones based on cursor position — pitch drifts, the stereo image leans toward it */
   modulate(nx, ny) {
     if (!this.ctx || !this.enabled || this.drones.length === 0) return;
-    const t = this.ctx.currentTime;
+    const t = this._now();
+    // Called every frame while hovering — record at most ~10 per second
+    if (t - this._lastModulateAt > 0.1) {
+      this._lastModulateAt = t;
+      this._record("modulate", { nx, ny });
+    }
     for (let i = 0; i < this.drones.length; i++) {
       const d = this.drones[i];
       const detune = (nx - 0.5) * 20 + (ny - 0.5) * 10 * (i + 1);
@@ -338,14 +627,18 @@ export class MusicEngine {
         (d.baseFreq + detune) * this.pitchShift,
         t + 0.15
       );
+      const pan = Math.max(-1, Math.min(1, d.basePan + (nx - 0.5) * 2 * MODULATE_PAN));
+      d.panner.pan.linearRampToValueAtTime(pan, t + 0.15);
     }
   }
 
   /* Shift pitch for pinch gesture */
   setPitchShift(factor) {
-    this.pitchShift = Math.max(0.5, Math.min(2.0, factor));
+    const clamped = Math.max(0.5, Math.min(2.0, factor));
+    if (clamped !== this.pitchShift) this._record("pitch", { factor: clamped });
+    this.pitchShift = clamped;
     if (!this.ctx || !this.enabled) return;
-    const t = this.ctx.currentTime;
+    const t = this._now();
     for (const d of this.drones) {
       d.osc.frequency.linearRampToValueAtTime(
         d.baseFreq * this.pitchShift,
@@ -354,92 +647,169 @@ export class MusicEngine {
     }
   }
 
-  /* Karplus-Strong plucked string with dynamic variation */
-  pluck(semitones, duration = 1.5, velocity = 1.0) {
+  /*
+   * One melodic note with dynamic variation, voiced by an INSTRUMENTS entry;
+   * nx (0-1) is the screen x it pans to, `when` the audio time it sounds (default now)
+   */
+  pluck(semitones, duration = 1.5, velocity = 1.0, nx = 0.5, when = null, instrument = DEFAULT_INSTRUMENT) {
     if (!this.ctx || !this.enabled) return;
-    const freq = midiToFreq(semitones) * this.pitchShift;
-    const sampleRate = this.ctx.sampleRate;
-    const bufferSize = Math.round(sampleRate / freq);
-
-    // Velocity and duration variation
-    const varDuration = duration * (0.8 + Math.random() * 0.4); // ±20%
-    const totalSamples = Math.round(sampleRate * varDuration);
-
-    const buffer = this.ctx.createBuffer(1, totalSamples, sampleRate);
-    const data = buffer.getChannelData(0);
-
-    // Mood-dependent brightness: filter the initial noise
-    const brightness = this._moodParams.brightness;
-    for (let i = 0; i < bufferSize; i++) {
-      data[i] = Math.random() * 2 - 1;
-    }
-    // Low-pass the excitation for darker tones
-    if (brightness < 0.6) {
-      for (let i = 1; i < bufferSize; i++) {
-        data[i] = data[i] * brightness + data[i - 1] * (1 - brightness);
-      }
-    }
-
-    for (let i = bufferSize; i < totalSamples; i++) {
-      data[i] = (data[i - bufferSize] + data[i - bufferSize + 1]) * 0.498;
-    }
+    const t = when ?? this._now();
+    const note = {
+      instrument,
+      freq: midiToFreq(semitones) * this.pitchShift,
+      // Velocity and duration variation
+      duration: duration * (0.8 + this.random() * 0.4), // ±20%
+      volume: 0.15 * velocity * (0.75 + this.random() * 0.5), // ±30% velocity variation
+      brightness: this._moodParams.brightness,
+      pan: panFor(nx, PLUCK_PAN_WIDTH),
+    };
+
+    this._record("pluck", note, t);
+    this._playNote(note, t);
+  }
 
-    const source = this.ctx.createBufferSource();
-    source.buffer = buffer;
-    const gain = this.ctx.createGain();
-    const vol = 0.15 * velocity * (0.75 + Math.random() * 0.5); // ±30% velocity variation
-    gain.gain.value = vol;
-    gain.gain.linearRampToValueAtTime(0, this.ctx.currentTime + varDuration);
-    source.connect(gain);
-    gain.connect(this.master);
-    source.start();
-    source.stop(this.ctx.currentTime + varDuration);
+  _playNote(note, when) {
+    const panner = this.ctx.createStereoPanner();
+    panner.pan.value = note.pan ?? 0;
+    panner.connect(this._pluckBus);
+    // Unknown names fall back to the default voice
+    const name = Object.hasOwn(INSTRUMENTS, note.instrument ?? "") ? note.instrument : DEFAULT_INSTRUMENT;
+    INSTRUMENTS[name](this.ctx, panner, note, when, this.random);
   }
 
-  /* Play a memory's melodic signature with dynamic variation and harmony */
-  playMelody(semitoneArray) {
+  /*
+   * Queue a memory's motif (motif.js: { degree, length } notes) on the
+   * sequencer, panned to nx and voiced by the named instrument. It starts on
+   * the next beat, so melodies from simultaneous discoveries fall in time.
+   */
+  playMelody(motif, nx = 0.5, instrument = DEFAULT_INSTRUMENT) {
     if (!this.ctx || !this.enabled) return;
-    const scale = SCALES[this.currentScale] || SCALES.aeolian;
-    const noteGap = this._moodParams.noteGap;
-    const speed = this._moodParams.brightness > 0.6 ? 0.85 : 1.15; // faster in bright moods
+    const scale = SCALES[this._crossfadePick(this.currentScale, this._nextScale, this._scaleBlend)] || SCALES.aeolian;
+    let step = Math.ceil(this._step / STEPS_PER_BEAT) * STEPS_PER_BEAT;
 
-    semitoneArray.forEach((semi, i) => {
-      const scaleNote = scale[semi % scale.length];
-      const octave = Math.floor(semi / scale.length);
+    motif.forEach(({ degree, length }, i) => {
+      const scaleNote = scale[degree % scale.length];
+      const octave = Math.floor(degree / scale.length);
       const finalSemitone = scaleNote + octave * 12;
 
-      const delay = i * noteGap * speed * 1000;
-      // Small random timing variation for organic feel
-      const jitter = (Math.random() - 0.5) * 30; // ±15ms
-
-      setTimeout(() => {
-        this.pluck(finalSemitone, 2.0, 1.0);
-
-        // Harmony: sometimes add a 3rd or 5th above at lower volume
-        // Probability increases with more notes played
-        const harmonyChance = 0.2 + (i / semitoneArray.length) * 0.3;
-        if (Math.random() < harmonyChance) {
-          const interval = Math.random() < 0.6 ? 4 : 7; // major 3rd or perfect 5th
-          const harmonySemitone = finalSemitone + interval;
-          setTimeout(() => {
-            this.pluck(harmonySemitone, 1.8, 0.4); // quieter harmony
-          }, 20 + Math.random() * 40);
-        }
-      }, delay + jitter);
+      this._pending.push({ step, semitones: finalSemitone, duration: 2.0, velocity: 1.0, nx, instrument });
+
+      // Harmony: sometimes add a 3rd or 5th above at lower volume, on the same step
+      // Probability increases with more notes played
+      const harmonyChance = 0.2 + (i / motif.length) * 0.3;
+      if (this.random() < harmonyChance) {
+        const interval = this.random() < 0.6 ? 4 : 7; // major 3rd or perfect 5th
+        this._pending.push({ step, semitones: finalSemitone + interval, duration: 1.8, velocity: 0.4, nx, instrument });
+      }
+      step += length;
     });
   }
 
   enable() {
     if (!this.initialized) this.init();
     if (this.ctx.state === "suspended") this.ctx.resume();
-    this.enabled = true;
-    this.master.gain.linearRampToValueAtTime(1.0, this.ctx.currentTime + 0.5);
+    this._setEnabled(true);
   }
 
   disable() {
     if (!this.ctx) return;
-    this.enabled = false;
-    this.master.gain.linearRampToValueAtTime(0, this.ctx.currentTime + 0.3);
+    this._setEnabled(false);
+  }
+
+  _setEnabled(on) {
+    this.enabled = on;
+    if (on) this._startScheduler();
+    else this._stopScheduler();
+    this.master.gain.linearRampToValueAtTime(on ? 1.0 : 0, this._now() + (on ? 0.5 : 0.3));
+    this._record(on ? "enable" : "disable", {});
+  }
+
+  /*
+   * Current output levels, each 0-1: { amplitude, bass, mid, treble }.
+   * All zero while sound is off.
+   */
+  getLevels() {
+    const levels = { amplitude: 0, bass: 0, mid: 0, treble: 0 };
+    if (!this._analyser || !this.enabled) return levels;
+
+    this._analyser.getFloatTimeDomainData(this._timeData);
+    let sum = 0;
+    for (let i = 0; i < this._timeData.length; i++) sum += this._timeData[i] * this._timeData[i];
+    levels.amplitude = Math.min(1, Math.sqrt(sum / this._timeData.length) * AMPLITUDE_GAIN);
+
+    // Band energy: mean of the bins' dB values, mapped onto the analyser's dB range
+    this._analyser.getFloatFrequencyData(this._freqData);
+    const { minDecibels, maxDecibels } = this._analyser;
+    const binHz = this.ctx.sampleRate / this._analyser.fftSize;
+    for (const [band, [lo, hi]] of Object.entries(LEVEL_BANDS)) {
+      const from = Math.max(1, Math.floor(lo / binHz));
+      const to = Math.min(this._freqData.length - 1, Math.ceil(hi / binHz));
+      let db = 0;
+      for (let i = from; i <= to; i++) db += Math.max(minDecibels, this._freqData[i]);
+      db /= to - from + 1;
+      levels[band] = Math.max(0, Math.min(1, (db - minDecibels) / (maxDecibels - minDecibels)));
+    }
+    return levels;
+  }
+
+  /* Whether there is anything to export */
+  get hasRecording() {
+    return this._recording.length > 0;
+  }
+
+  /*
+   * Re-render the recorded session through an OfflineAudioContext.
+   * A fresh engine replays the events on a 30fps clock, so drone LFOs, mood
+   * blends and chord morphs run through the same update() as live playback.
+   * Resolves to a stereo AudioBuffer, or null if nothing was recorded.
+   */
+  async renderRecording({ sampleRate = 44100 } = {}) {
+    if (!this.ctx || !this.hasRecording) return null;
+    const end = this.ctx.currentTime - this._recordStart;
+    const start = Math.max(0, end - RECORD_MAX_SECONDS);
+    const length = end - start;
+
+    const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    const offline = new Offline(2, Math.ceil((length + EXPORT_TAIL_SECONDS) * sampleRate), sampleRate);
+    const engine = new MusicEngine();
+    engine._replaying = true;
+    engine._clock = 0;
+    engine._attach(offline);
+
+    // Scheduled notes are logged ahead of time, so restore time order first
+    const events = [...this._recording].sort((a, b) => a.t - b.t);
+    let next = 0;
+    for (let t = 0; t <= length; t += REPLAY_STEP) {
+      engine._clock = t;
+      while (next < events.length && events[next].t - start <= t) {
+        const e = events[next++];
+        // Before the window only state carries over (drones, chords, mood, on/off)
+        if (e.t < start && MOMENTARY_EVENTS.has(e.type)) continue;
+        engine._replay(e, Math.max(0, e.t - start));
+      }
+      engine.update(REPLAY_STEP * 1000);
+    }
+
+    return offline.startRendering();
+  }
+
+  /* Apply one recorded event; `at` is its exact offline time (chords, plucks) */
+  _replay(e, at) {
+    switch (e.type) {
+      case "scale": this.setScale(e.scale, e.next, e.amount); break;
+      case "mood": this.setMood(e.mood, e.next, e.amount); break;
+      case "season": this.setSeason(e.season); break;
+      case "pitch": this.setPitchShift(e.factor); break;
+      case "mix": this.setMix(e.mix); break;
+      case "drone": this._addDrone(e.freq, e.volume, e.lfo); break;
+      case "chord": this._applyChord(e.freqs, at); break;
+      case "modulate": this.modulate(e.nx, e.ny); break;
+      case "enable": this._setEnabled(true); break;
+      case "disable": this._setEnabled(false); break;
+      case "pluck":
+        if (this.enabled) this._playNote(e, at);
+        break;
+    }
   }
 
   toggle() {
@@ -453,6 +823,7 @@ export class MusicEngine {
 
   destroy() {
     if (!this.ctx) return;
+    this._stopScheduler();
     this.drones.forEach((d) => {
       try { d.osc.stop(); } catch (e) { /* already stopped */ }
     });
@@ -462,6 +833,7 @@ export class MusicEngine {
     }
     this.ctx.close();
     this.ctx = null;
+    this._analyser = null;
     this.initialized = false;
   }
 }
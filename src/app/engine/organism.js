@@ -1,10 +1,25 @@
 "use client";
 
-import { ParticlePool, getGlowSprite, StarField } from "./particles.js";
-import { MemorySystem, MEMORIES, textToPositions, stringToMelody } from "./memory.js";
+import { StarField } from "./particles.js";
+import { MEMORIES, textToPositions } from "./memory.js";
+import { motifFor } from "./motif.js";
 import { createInputHandler } from "./input.js";
 import { getCircadianProfile } from "./circadian.js";
+import { createClock, readTimeParam } from "./clock.js";
+import { getLocation, loadSavedLocation, requestGeolocation } from "./geolocation.js";
+import { PALETTES, DEFAULT_PALETTE, paletteById } from "./palettes.js";
+import { loadPaletteChoice, savePaletteChoice } from "./palette-choice.js";
 import { MusicEngine } from "./music.js";
+import { encodeWav } from "./wav.js";
+import { instrumentFor } from "./instruments.js";
+import { loadProgress, saveProgress, clearProgress } from "./progress.js";
+import { loadAudioSettings, saveAudioSettings } from "./audio-settings.js";
+import { readDeepLink, writeDeepLink } from "./deeplink.js";
+import { LAYOUTS, timelineAxis } from "./layout.js";
+import { createRandom, readSeedParam } from "./random.js";
+import { createBrowserEnvironment } from "./environment.js";
+import { createRenderer, readRendererParam, Canvas2DRenderer } from "./renderer.js";
+import { SimulationDriver, VIEW, PARTICLE_CAPACITY } from "./simulation.js";
 
 /*
  * The Organism — "Constellation" design.
@@ -14,16 +29,45 @@ import { MusicEngine } from "./music.js";
 
 const GOLDEN_ANGLE = 137.508 * (Math.PI / 180);
 const TWO_PI = Math.PI * 2;
+const STREAM_SEGMENTS = 16; // flow-stream curves are drawn as line strips
+// Page controls that keep their own keys (arrows move the mixer and time
+// sliders and the palette select); a focused button only keeps Enter and space
+const PAGE_CONTROLS = "input, select, textarea, .mixer, .time-scrubber";
+const BUTTON_KEYS = new Set(["Enter", " "]);
+const MEMORY_BY_ID = new Map(MEMORIES.map(m => [m.id, m]));
 
 export class Organism {
-  constructor(canvas) {
+  constructor(canvas, {
+    seed = readSeedParam(),
+    env = createBrowserEnvironment(),
+    renderer = readRendererParam() ?? "auto",
+    clock = createClock(readTimeParam()),
+  } = {}) {
+    this.env = env; // viewport, clock, frames and events (headless.js swaps these out)
     this.canvas = canvas;
     this.ctx = canvas.getContext("2d");
-    this.pool = new ParticlePool(500);
-    this.memory = new MemorySystem();
-    this.music = new MusicEngine();
-    this.input = createInputHandler(canvas);
-    this.profile = getCircadianProfile();
+    // Particle layer backend — WebGL2 when available, else Canvas 2D (?renderer=2d|webgl)
+    this.renderer = createRenderer(this.ctx, env.createCanvas, renderer);
+    // Seeded randomness (?seed=) — one independent stream per subsystem
+    this.rng = createRandom(seed);
+    this.random = this.rng.fork("organism");
+    this._nebulaRandom = this.rng.fork("nebulae");
+    // Particles and memories live in the simulation (simulation.js) — in a
+    // worker when the environment provides one. Draws read its latest view.
+    this.sim = new SimulationDriver(this.rng.seed, { width: env.width, height: env.height }, env.createSimulationWorker);
+    this.discovered = new Set(); // mirrors the simulation's, updated as commands go out
+    this._played = new Set(); // memories whose discovery melody has played
+    this._layout = "spiral";
+    this.music = new MusicEngine(this.rng.fork("music"));
+    // Browsers need a gesture before audio can start, so a saved "on" is only a preference
+    const audioSettings = loadAudioSettings();
+    if (audioSettings) this.music.setMix(audioSettings.mix);
+    this._audioPreferred = audioSettings?.enabled ?? false;
+    this.input = createInputHandler(canvas, env);
+    // Time of day for the circadian profile — real, or pinned for previews (?time=HH:MM)
+    this.clock = clock;
+    this.paletteId = loadPaletteChoice() ?? DEFAULT_PALETTE;
+    this.profile = getCircadianProfile(this.clock.now(), getLocation(), paletteById(this.paletteId));
 
     this.time = 0;
     this.dt = 16;
@@ -40,8 +84,6 @@ export class Organism {
     // Text formation hold timer (auto-release after hold)
     this.textHoldTimer = 0;
     this.textHoldDuration = 3000; // hold text for 3s then release
-    // Text formation age (for progressive force ramping)
-    this.textFormationAge = 0;
     // Nebula clouds
     this.nebulae = [];
     this._nebulaSeeded = false;
@@ -51,7 +93,6 @@ export class Organism {
 
     this.discoveredOverlay = null;
     this.overlayFade = 0;
-    this.textFormationTargets = [];
     this.textFormationActive = false;
     this.textReleaseTimer = 0;
     this.firstFrame = true;
@@ -59,15 +100,14 @@ export class Organism {
     // Intro sequence state: genesis | burst | coalesce | nameform | namehold | ready
     this.introPhase = "genesis";
     this.introTimer = 0;
-    this.introParticles = []; // particles spawned during burst
     this.introNameTimer = 0;
+    this.introSpeed = 1; // deep links play the intro faster and skip the name
 
     // Birth animation state (post-intro)
     this.birthPhase = "waiting"; // waiting | blooming | alive
     this.birthTimer = 0;
     this.birthIndex = 0;
     this.memoriesPlaced = false;
-    this.birthTargetReleases = [];
 
     // Idle respiration
     this.idleTimer = 0;
@@ -85,11 +125,14 @@ export class Organism {
 
     // Constellation complete state (A2)
     this.constellationComplete = false;
-    this.orbitPhase = 0;
     this.networkPulseTimer = 0;
     this.networkPulseWave = null;
     this.stellarWindTimer = 0;
-    this._originalAnchors = new Map(); // snapshot of anchors at completion time
+    this._restoredComplete = false; // completed on a previous visit — skip the celebration
+
+    // Timeline mode — work nodes along a year axis
+    this.timelineActive = false;
+    this.timelineFade = 0; // 0-1: axis and year labels
 
     // Space-key auto-tour (C3)
     this.tourActive = false;
@@ -97,15 +140,17 @@ export class Organism {
     this.tourTimer = 0;
     this.tourNodeOrder = []; // filled on completion
 
+    // Deep link target (/#id) — applied once the intro is done
+    this._pendingDeepLink = null;
+    this._boundPopState = this._onPopState.bind(this);
+    this.env.events.addEventListener("popstate", this._boundPopState);
+
     // Click-to-revisit (A3) — exposed for page.jsx
     this._onRevisit = null;
 
     // Completion callback (C1)
     this._onConstellationComplete = null;
 
-    // Cached memory particle list
-    this._memoryParticles = [];
-
     // Adaptive quality
     this._ftSamples = new Float64Array(60);
     this._ftIndex = 0;
@@ -121,7 +166,7 @@ export class Organism {
     this.focusedMemoryIndex = -1;
     this.memoryIds = MEMORIES.map(m => m.id);
     this._boundKeyDown = this._handleKeyboard.bind(this);
-    window.addEventListener("keydown", this._boundKeyDown);
+    this.env.events.addEventListener("keydown", this._boundKeyDown);
 
     // Circadian refresh timer
     this.circadianTimer = 0;
@@ -136,6 +181,9 @@ export class Organism {
     // Corona rotation for root node
     this.coronaAngle = 0;
 
+    // Audio-reactive levels (0-1), eased from music.getLevels(); all zero while sound is off
+    this.audioLevels = { amplitude: 0, bass: 0, mid: 0, treble: 0 };
+
     // 3D cosmic rotation — render-time projection only
     this.tiltX = 0;
     this.tiltY = 0;
@@ -149,22 +197,23 @@ export class Organism {
     this.input.state.onTouchBurst = (x, y) => this._touchBurst(x, y);
 
     this._boundResize = this._onResize.bind(this);
-    window.addEventListener("resize", this._boundResize, { passive: true });
+    this.env.events.addEventListener("resize", this._boundResize, { passive: true });
     this._onResize();
 
-    this._glowSprite = null;
+    this._lineScratch = new Float32Array(64); // projected polyline points for the renderer
     this._boundLoop = this._loop.bind(this);
   }
 
   _onResize() {
-    const dpr = window.devicePixelRatio || 1;
-    const w = window.innerWidth;
-    const h = window.innerHeight;
+    const dpr = this.env.dpr;
+    const w = this.env.width;
+    const h = this.env.height;
     this.canvas.width = w * dpr;
     this.canvas.height = h * dpr;
     this.canvas.style.width = w + "px";
     this.canvas.style.height = h + "px";
     this.ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    this.renderer.resize(w, h, dpr);
     this.centerX = w / 2;
     this.centerY = h / 2;
     // Edge-to-edge: use max dimension so nodes fill the screen
@@ -175,41 +224,52 @@ export class Organism {
     if (this.starField) {
       this.starField.resize(w, h);
     } else {
-      this.starField = new StarField(w, h);
+      this.starField = new StarField(w, h, this.rng.fork("stars"), this.env.createCanvas);
     }
+    this.starField.setTint(this.profile.secondary.h);
 
     // Seed nebulae on first resize or regenerate on significant size change
     this._seedNebulae(w, h);
 
-    // Recompute anchors — use separate X/Y radii for proper aspect ratio coverage
-    if (this.memory && this.memoriesPlaced) {
-      const rx = w * 0.42;
-      const ry = h * 0.40;
-      this.memory.computeAnchors(this.centerX, this.centerY, rx, ry);
-    }
+    // The simulation recomputes anchors once memories are placed
+    this.sim.send("resize", w, h);
   }
 
   start() {
     if (this.running) return;
     this.running = true;
-    this.lastFrame = performance.now();
-
-    this.music.setScale(this.profile.scale);
-    this.music.setMood(this.profile.musicMood);
+    this.lastFrame = this.env.now();
+
+    this._applyProfileToMusic();
+    this.env.applyTheme(this.profile);
+
+    // Restore discoveries from previous visits
+    const saved = loadProgress();
+    if (saved) {
+      this.sim.send("restore", saved.discovered);
+      for (const id of saved.discovered) {
+        if (!MEMORY_BY_ID.has(id)) continue;
+        this.discovered.add(id);
+        this._played.add(id);
+      }
+      this._restoredComplete = saved.complete;
+    }
 
-    this._glowSprite = getGlowSprite(16);
+    // Deep link: shortened intro, then focus the linked node
+    this._pendingDeepLink = readDeepLink();
+    if (this._pendingDeepLink) this.introSpeed = 2;
 
     // Don't spawn seed particle yet — intro sequence handles it
     this.introPhase = "genesis";
     this.introTimer = 0;
 
-    this.rafId = requestAnimationFrame(this._boundLoop);
+    this.rafId = this.env.requestFrame(this._boundLoop);
   }
 
   // ── Intro Sequence ───────────────────────────────────────
 
   _updateIntro(dt) {
-    this.introTimer += dt;
+    this.introTimer += dt * this.introSpeed;
 
     if (this.introPhase === "genesis") {
       // 0-1.5s: single point of light grows at center
@@ -231,7 +291,12 @@ export class Organism {
         this.birthPhase = "blooming";
         this.birthTimer = 0;
       }
-      if (this.introTimer > 2000) {
+      if (this.introTimer > 2000 && this._pendingDeepLink) {
+        // Deep link: the linked node's label replaces the name formation
+        this.introPhase = "ready";
+        this.introTimer = 0;
+        if (this._onIntroComplete) this._onIntroComplete();
+      } else if (this.introTimer > 2000) {
         this.introPhase = "nameform";
         this.introTimer = 0;
         this._formText("nikolai onken");
@@ -257,25 +322,24 @@ export class Organism {
     // Big Bang — spawn 80 particles radiating outward from center
     const count = 80;
     for (let i = 0; i < count; i++) {
-      const angle = (i / count) * TWO_PI + Math.random() * 0.3;
-      const speed = 3 + Math.random() * 6;
-      const dist = Math.random() * 10;
+      const angle = (i / count) * TWO_PI + this.random() * 0.3;
+      const speed = 3 + this.random() * 6;
+      const dist = this.random() * 10;
       const x = this.centerX + Math.cos(angle) * dist;
       const y = this.centerY + Math.sin(angle) * dist;
-      const hueShift = Math.random() * 30;
-      const p = this.pool.add(x, y, {
+      const hueShift = this.random() * 30;
+      this.sim.send("spawn", x, y, {
         generation: 1,
-        radius: 1 + Math.random() * 2,
+        radius: 1 + this.random() * 2,
         hue: (this.profile.primary.h + hueShift) % 360,
         saturation: this.profile.primary.s,
-        lightness: this.profile.primary.l + Math.random() * 20,
-        alpha: 0.6 + Math.random() * 0.3,
-        decay: 0.008 + Math.random() * 0.005,
+        lightness: this.profile.primary.l + this.random() * 20,
+        alpha: 0.6 + this.random() * 0.3,
+        decay: 0.008 + this.random() * 0.005,
         maxTrail: this.profile.trailLength,
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed,
       });
-      if (p) this.introParticles.push(p);
     }
   }
 
@@ -285,56 +349,28 @@ export class Organism {
     if (this.birthIndex >= MEMORIES.length) {
       this.birthPhase = "alive";
       this.memoriesPlaced = true;
-      // Compute constellation layout with full-screen radii
-      const w = window.innerWidth;
-      const h = window.innerHeight;
-      const rx = w * 0.42;
-      const ry = h * 0.40;
-      this.memory.computeAnchors(this.centerX, this.centerY, rx, ry);
+      // Anchor the constellation with full-screen radii
+      this.sim.send("place");
+      // Restored discoveries now have particles — let the page show their labels
+      if (this.discovered.size > 0 && this._onDiscoveryChange) this._onDiscoveryChange();
       return;
     }
 
-    const i = this.birthIndex;
-    const mem = MEMORIES[i];
-
-    // Use the pre-computed constellation positions
-    const node = this.memory.nodes.get(mem.id);
-    // Compute a temporary target for birth animation
-    const w = window.innerWidth;
-    const h = window.innerHeight;
-    const rx = w * 0.42;
-    const ry = h * 0.40;
-    this.memory.computeConstellationLayout(this.centerX, this.centerY, rx, ry);
-
-    const targetX = node.anchorX || this.centerX;
-    const targetY = node.anchorY || this.centerY;
-
+    const mem = MEMORIES[this.birthIndex];
     const hue = mem.type === "identity" ? (this.profile.primary.h + 40) % 360 :
                 mem.type === "root" ? this.profile.accent.h :
                 this.profile.primary.h;
     const sat = mem.type === "identity" ? 50 : this.profile.primary.s;
     const light = mem.type === "root" ? 85 : mem.type === "identity" ? 55 : this.profile.primary.l;
 
-    const p = this.pool.add(this.centerX, this.centerY, {
-      generation: 0,
+    // Born at the center, flying out to its constellation position
+    this.sim.send("birth", mem.id, {
       radius: mem.type === "root" ? 5 : mem.type === "identity" ? 4 : 3.5,
-      mass: 3,
       hue,
       saturation: sat,
       lightness: light,
       alpha: 0.95,
-      maxTrail: 3,
-      vx: (targetX - this.centerX) * 0.012,
-      vy: (targetY - this.centerY) * 0.012,
     });
-    if (p) {
-      this.memory.assignParticle(mem.id, p);
-      p.targetX = targetX;
-      p.targetY = targetY;
-      p.targetForce = 0.008;
-      this.birthTargetReleases.push({ particle: p, releaseAt: this.time + 2500 });
-      this._memoryParticles.push(p);
-    }
 
     this.birthIndex++;
   }
@@ -343,10 +379,10 @@ export class Organism {
     const count = 6;
     for (let i = 0; i < count; i++) {
       const angle = (i / count) * TWO_PI;
-      const speed = 1 + Math.random() * 2;
-      this.pool.add(x, y, {
+      const speed = 1 + this.random() * 2;
+      this.sim.send("spawn", x, y, {
         generation: this.generation,
-        radius: 1 + Math.random(),
+        radius: 1 + this.random(),
         hue: this.profile.primary.h,
         saturation: this.profile.primary.s,
         lightness: this.profile.primary.l + 10,
@@ -376,14 +412,14 @@ export class Organism {
       for (let i = 0; i < 60; i++) sum += this._ftSamples[i];
       if (sum / 60 > 25) {
         this.qualityLevel = 0.75;
-        this.pool.max = Math.floor(500 * 0.75);
+        this.sim.send("setMaxParticles", Math.floor(PARTICLE_CAPACITY * 0.75));
       }
     }
 
     this._update();
     this._draw();
 
-    this.rafId = requestAnimationFrame(this._boundLoop);
+    this.rafId = this.env.requestFrame(this._boundLoop);
   }
 
   _update() {
@@ -398,27 +434,24 @@ export class Organism {
 
     // Cursor adds subtle parallax nudge to tilt
     if (this.input.state.active) {
-      const mx = (this.input.state.x / window.innerWidth - 0.5);
-      const my = (this.input.state.y / window.innerHeight - 0.5);
+      const mx = (this.input.state.x / this.env.width - 0.5);
+      const my = (this.input.state.y / this.env.height - 0.5);
       this.tiltY += mx * 0.04;
       this.tiltX += my * 0.04;
     }
 
     this.input.update(0.3);
 
-    this.memory.isTouch = this.input.state.isTouch;
-
     // Refresh circadian every 60s
     this.circadianTimer += dt;
     if (this.circadianTimer > 60000) {
       this.circadianTimer = 0;
-      this.profile = getCircadianProfile();
-      this.music.setScale(this.profile.scale);
-      this.music.setMood(this.profile.musicMood);
+      this._refreshCircadian();
     }
 
     // Drive music engine LFOs and transitions
     this.music.update(dt);
+    this._updateAudioLevels();
 
     // Update star field (shooting stars, etc.)
     if (this.starField) {
@@ -426,8 +459,8 @@ export class Organism {
     }
 
     // Update nebula drift
-    const vw = window.innerWidth;
-    const vh = window.innerHeight;
+    const vw = this.env.width;
+    const vh = this.env.height;
     for (const neb of this.nebulae) {
       neb.x += neb.vx * dt * 0.001;
       neb.y += neb.vy * dt * 0.001;
@@ -440,8 +473,8 @@ export class Organism {
 
     // Parallax from cursor position
     if (this.input.state.active) {
-      const mx = (this.input.state.x / window.innerWidth - 0.5) * 2;
-      const my = (this.input.state.y / window.innerHeight - 0.5) * 2;
+      const mx = (this.input.state.x / this.env.width - 0.5) * 2;
+      const my = (this.input.state.y / this.env.height - 0.5) * 2;
       this.parallaxX += (mx * 15 - this.parallaxX) * 0.05;
       this.parallaxY += (my * 15 - this.parallaxY) * 0.05;
     } else {
@@ -454,15 +487,11 @@ export class Organism {
       this._updateIntro(dt);
     }
 
-    // Process birth target releases
-    for (let i = this.birthTargetReleases.length - 1; i >= 0; i--) {
-      const entry = this.birthTargetReleases[i];
-      if (this.time >= entry.releaseAt) {
-        entry.particle.targetX = null;
-        entry.particle.targetY = null;
-        entry.particle.targetForce = 0;
-        this.birthTargetReleases.splice(i, 1);
-      }
+    // Deep link — wait until the linked node's particle has been born
+    if (this._pendingDeepLink && this.introPhase === "ready" && this.memoriesPlaced) {
+      const id = this._pendingDeepLink;
+      this._pendingDeepLink = null;
+      this._openDeepLink(id);
     }
 
     // Birth animation
@@ -477,7 +506,7 @@ export class Organism {
     // Bloom
     if (this.input.state.active && this.generation < this.maxGeneration && this.introPhase === "ready") {
       this.bloomTimer += dt;
-      if (this.bloomTimer > this.bloomInterval && this.pool.count < 350) {
+      if (this.bloomTimer > this.bloomInterval && this.sim.view.count < 350) {
         this.bloomTimer = 0;
         this._bloom();
       }
@@ -499,16 +528,16 @@ export class Organism {
     // Idle respiration
     if (this.isIdle && this.memoriesPlaced) {
       this.idlePulseTimer += dt;
-      if (this.idlePulseTimer > 2000 && this.pool.count < 300) {
+      if (this.idlePulseTimer > 2000 && this.sim.view.count < 300) {
         this.idlePulseTimer = 0;
-        const memParticles = this._memoryParticles;
+        const memParticles = this.sim.view.nodes.filter(Boolean);
         if (memParticles.length > 0) {
-          const mp = memParticles[Math.floor(Math.random() * memParticles.length)];
-          const angle = Math.random() * TWO_PI;
-          const speed = 0.3 + Math.random() * 0.5;
-          this.pool.add(mp.x, mp.y, {
+          const mp = memParticles[Math.floor(this.random() * memParticles.length)];
+          const angle = this.random() * TWO_PI;
+          const speed = 0.3 + this.random() * 0.5;
+          this.sim.send("spawn", mp.x, mp.y, {
             generation: 1,
-            radius: 1 + Math.random() * 0.5,
+            radius: 1 + this.random() * 0.5,
             hue: mp.hue,
             saturation: mp.saturation,
             lightness: mp.lightness + 10,
@@ -537,7 +566,8 @@ export class Organism {
           this.textHoldTimer = 0; // start hold timer
           this.discoveredOverlay = { label, desc: null };
           this.overlayFade = 1.0;
-          this.music.playMelody(stringToMelody(label));
+          const node = MEMORIES.find(m => m.label === label);
+          this.music.playMelody(motifFor(node ?? { label }), 0.5, instrumentFor(node));
         }
       }
     }
@@ -548,6 +578,10 @@ export class Organism {
       this._updateResonance(dt);
     }
 
+    // ── Timeline axis fade ──
+    const timelineTarget = this.timelineActive ? 1 : 0;
+    this.timelineFade += (timelineTarget - this.timelineFade) * Math.min(1, dt * 0.004);
+
     // ── Constellation breathing (A2) — post-completion ambient life ──
     if (this.constellationComplete) {
       this._updateCompletedConstellation(dt);
@@ -559,34 +593,17 @@ export class Organism {
     }
 
     // ── Check constellation completion ──
-    if (!this.constellationComplete && this.memoriesPlaced && this.memory.discovered.size === MEMORIES.length) {
+    if (!this.constellationComplete && this.memoriesPlaced && this.discovered.size === MEMORIES.length) {
       this.constellationComplete = true;
-      // Snapshot original anchor positions for orbital drift
-      for (const [id, node] of this.memory.nodes) {
-        if (node.anchorX !== null) {
-          const dx = node.anchorX - this.centerX;
-          const dy = node.anchorY - this.centerY;
-          this._originalAnchors.set(id, {
-            dist: Math.sqrt(dx * dx + dy * dy) || 1,
-            angle: Math.atan2(dy, dx),
-          });
-        }
-      }
+      this.sim.send("complete");
       this._buildTourOrder();
-      if (this._onConstellationComplete) this._onConstellationComplete();
+      if (this._onConstellationComplete) this._onConstellationComplete({ restored: this._restoredComplete });
+      this._restoredComplete = false;
     }
 
     // Swipe scatter
     if (this.input.state.isSwipe) {
-      const particles = this.pool.particles;
-      const svx = this.input.state.swipeVx * 0.3;
-      const svy = this.input.state.swipeVy * 0.3;
-      for (let i = 0; i < particles.length; i++) {
-        const p = particles[i];
-        if (!p.isMemory) {
-          p.addForce(svx * (0.5 + Math.random() * 0.5), svy * (0.5 + Math.random() * 0.5));
-        }
-      }
+      this.sim.send("push", this.input.state.swipeVx * 0.3, this.input.state.swipeVy * 0.3);
       this.input.state.isSwipe = false;
     }
 
@@ -601,206 +618,41 @@ export class Organism {
       this.music.setPitchShift(1.0 / ratio);
     }
 
-    // Physics
-    const particles = this.pool.particles;
-    const cx = this.centerX;
-    const cy = this.centerY;
-    const breath = Math.sin(this.breathPhase) * (this.isIdle ? 0.5 : 0.3);
-    const cohesionStrength = 0.0002; // slightly weaker for wider spread
-    const separationDist = 18;
-    const damping = 0.97;
-    const speed = this.profile.particleSpeed;
-
-    this.pool.rebuild();
-
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
-
-      // Anchor spring for discovered memory particles
-      if (p.isMemory && p.memoryId) {
-        const node = this.memory.nodes.get(p.memoryId);
-        if (node?.discovered && node.anchorX !== null) {
-          const ax = node.anchorX - p.x;
-          const ay = node.anchorY - p.y;
-          const wobbleX = Math.sin(this.breathPhase * 2 + p.breathPhase) * 3;
-          const wobbleY = Math.cos(this.breathPhase * 2 + p.breathPhase) * 3;
-          p.addForce((ax + wobbleX) * 0.02, (ay + wobbleY) * 0.02);
-          p.verletStep(dt, damping);
-          p.updateTrail();
-          if (p.decay > 0) p.life -= p.decay * dt * 0.001;
-          continue;
-        }
-      }
-
-      // Breathing
-      const dx = cx - p.x;
-      const dy = cy - p.y;
-      const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-
-      // Cohesion: gentler for wider constellation
-      p.addForce(dx * cohesionStrength * speed, dy * cohesionStrength * speed);
-
-      // Breathing oscillation
-      const breathForce = breath * 0.02;
-      p.addForce(-dx / dist * breathForce, -dy / dist * breathForce);
-
-      // Separation
-      const neighbors = this.pool.query(p.x, p.y, separationDist);
-      for (let j = 0; j < neighbors.length; j++) {
-        const n = neighbors[j];
-        if (n.id === p.id) continue;
-        const ndx = p.x - n.x;
-        const ndy = p.y - n.y;
-        const nd = Math.sqrt(ndx * ndx + ndy * ndy) || 1;
-        if (nd < separationDist) {
-          const force = ((separationDist - nd) / separationDist) * 0.05 * speed;
-          p.addForce(ndx / nd * force, ndy / nd * force);
-        }
-      }
-
-      // Cursor attraction
-      if (this.input.state.active && !p.isMemory) {
-        const mx = this.input.state.px;
-        const my = this.input.state.py;
-        const cdx = mx - p.x;
-        const cdy = my - p.y;
-        const cdist = Math.sqrt(cdx * cdx + cdy * cdy) || 1;
-        if (cdist < 200) {
-          const attract = 0.0008 * speed * (1 - cdist / 200);
-          p.addForce(cdx * attract, cdy * attract);
-        }
-      }
-
-      // Multi-touch membrane
-      if (this.input.state.touches.length >= 2 && !p.isMemory) {
-        const touches = this.input.state.touches;
-        for (let t = 0; t < touches.length - 1; t++) {
-          const t1 = touches[t];
-          const t2 = touches[t + 1];
-          const lx = t2.x - t1.x;
-          const ly = t2.y - t1.y;
-          const len = Math.sqrt(lx * lx + ly * ly) || 1;
-          const ppx = p.x - t1.x;
-          const ppy = p.y - t1.y;
-          const proj = Math.max(0, Math.min(1, (ppx * lx + ppy * ly) / (len * len)));
-          const closestX = t1.x + lx * proj;
-          const closestY = t1.y + ly * proj;
-          const lineDist = Math.sqrt((p.x - closestX) ** 2 + (p.y - closestY) ** 2);
-          if (lineDist < 150 && lineDist > 5) {
-            const membraneForce = 0.002 * (1 - lineDist / 150);
-            p.addForce((closestX - p.x) * membraneForce, (closestY - p.y) * membraneForce);
-          }
-        }
-      }
-
-      // Gyroscope gravity
-      if (this.input.state.hasGyro) {
-        const gx = this.input.state.gyro.x * 0.15 * speed;
-        const gy = this.input.state.gyro.y * 0.15 * speed;
-        p.addForce(gx, gy);
-      }
-
-      // Text formation targets with convergence damping
-      if (p.targetX !== null && p.targetForce > 0) {
-        const tx = p.targetX - p.x;
-        const ty = p.targetY - p.y;
-        const tDist = Math.sqrt(tx * tx + ty * ty);
-        p.addForce(tx * p.targetForce, ty * p.targetForce);
-        // Extra velocity damping when close — kills wobble
-        if (tDist < 8) {
-          const dampFactor = 0.85;
-          const vx = (p.x - p.px) * dampFactor;
-          const vy = (p.y - p.py) * dampFactor;
-          p.px = p.x - vx;
-          p.py = p.y - vy;
-        }
-      }
-
-      // Shockwave push
-      for (const sw of this.memory.shockwaves) {
-        const sdx = p.x - sw.x;
-        const sdy = p.y - sw.y;
-        const sdist = Math.sqrt(sdx * sdx + sdy * sdy) || 1;
-        const waveFront = sw.radius;
-        const waveWidth = 40;
-        if (Math.abs(sdist - waveFront) < waveWidth && !p.isMemory) {
-          const pushStrength = 2.0 * sw.alpha * (1 - Math.abs(sdist - waveFront) / waveWidth);
-          p.addForce((sdx / sdist) * pushStrength, (sdy / sdist) * pushStrength);
-        }
-      }
-
-      p.verletStep(dt, damping);
-
-      // Clamp to prevent NaN/Infinity propagation from unbounded physics
-      if (!isFinite(p.x) || !isFinite(p.y)) {
-        p.x = cx;
-        p.y = cy;
-        p.px = cx;
-        p.py = cy;
-      }
-
-      p.updateTrail();
-
-      if (p.decay > 0) {
-        p.life -= p.decay * dt * 0.001;
-      }
-    }
-
-    // Remove dead particles
-    for (let i = particles.length - 1; i >= 0; i--) {
-      if (particles[i].life <= 0) {
-        this.pool.remove(particles[i]);
-      }
-    }
-
-    // Memory dwell detection (only when intro is done)
-    if (this.input.state.active && this.introPhase === "ready") {
-      const hoveredMemory = this.memory.checkDwell(
-        this.input.state.px,
-        this.input.state.py,
-        dt
-      );
+    // Simulation step (simulation.js) — with a worker, its view arrives a frame or more later
+    const state = this.input.state;
+    const dwell = state.active && this.introPhase === "ready";
+    const discoveries = this.sim.step({
+      dt,
+      cx: this.centerX,
+      cy: this.centerY,
+      breath: Math.sin(this.breathPhase) * (this.isIdle ? 0.5 : 0.3),
+      breathPhase: this.breathPhase,
+      speed: this.profile.particleSpeed,
+      cursor: state.active ? { x: state.px, y: state.py } : null,
+      touches: state.touches.map(t => ({ x: t.x, y: t.y })),
+      gyro: state.hasGyro ? { x: state.gyro.x, y: state.gyro.y } : null,
+      isTouch: state.isTouch,
+      streamSpeed: 1 + this.audioLevels.mid * 1.5,
+      dwell, // memory dwell detection (only when intro is done)
+    });
 
-      if (hoveredMemory) {
-        this.music.modulate(
-          this.input.state.px / window.innerWidth,
-          this.input.state.py / window.innerHeight
-        );
-      }
+    if (dwell && this.sim.view.hovered) {
+      this.music.modulate(state.px / this.env.width, state.py / this.env.height);
     }
 
-    // Memory system update
-    this.memory.update(dt);
-
     // Handle newly discovered content
-    if (this.memory.activeNode && this.memory.nodes.get(this.memory.activeNode).discovered) {
-      const node = this.memory.nodes.get(this.memory.activeNode);
-      if (!node.musicPlayed) {
-        node.musicPlayed = true;
-        // D2: First discovery has amplified effects
-        const isFirstDiscovery = this.memory.discovered.size === 1;
-        const melody = stringToMelody(node.label);
-        this.music.playMelody(melody);
-        this.discoveredOverlay = node;
-        this.overlayFade = isFirstDiscovery ? 1.5 : 1.0; // longer overlay for first
-
-        this._formText(node.label);
-
-        // D2: amplified shockwave for first discovery — replace the normal
-        // shockwave already pushed by discover() to avoid a double shockwave
-        if (isFirstDiscovery && node.particle && this.memory.shockwaves.length > 0) {
-          const last = this.memory.shockwaves[this.memory.shockwaves.length - 1];
-          last.maxRadius = 600;
-          last.speed = 400;
-          last.alpha = 1.0;
-        }
-
-        const rx = window.innerWidth * 0.42;
-        const ry = window.innerHeight * 0.40;
-        this.memory.computeAnchors(this.centerX, this.centerY, rx, ry);
-
-        if (this._onDiscoveryChange) this._onDiscoveryChange();
-      }
+    for (const { id, first } of discoveries) {
+      this.discovered.add(id);
+      if (this._played.has(id)) continue;
+      this._played.add(id);
+      const node = MEMORY_BY_ID.get(id);
+      this.music.playMelody(motifFor(node), this._stereoX(node), instrumentFor(node));
+      this.discoveredOverlay = node;
+      this.overlayFade = first ? 1.5 : 1.0; // D2: longer overlay for the first discovery
+      this._formText(node.label);
+      this._vibrate();
+      saveProgress(this.discovered);
+      if (this._onDiscoveryChange) this._onDiscoveryChange();
     }
 
     // Graceful text release
@@ -814,35 +666,17 @@ export class Organism {
       }
     }
 
-    // Auto-release text after hold duration
+    // Auto-release text after hold duration (the simulation ramps the forces)
     if (this.textFormationActive) {
       this.textHoldTimer += dt;
-      this.textFormationAge += dt;
-      // Progressive force ramp: 0.03 → 0.06 over 500ms for crisp convergence
-      const rampT = Math.min(1, this.textFormationAge / 500);
-      const baseForce = 0.03 + rampT * 0.03;
-      for (const p of this.textFormationTargets) {
-        // Extra damping when close to target — reduces wobble
-        const dx = (p.targetX ?? 0) - p.x;
-        const dy = (p.targetY ?? 0) - p.y;
-        const dist = Math.sqrt(dx * dx + dy * dy);
-        p.targetForce = dist < 5 ? baseForce * 1.5 : baseForce;
-      }
       if (this.textHoldTimer > this.textHoldDuration) {
         this._startGracefulRelease();
       }
     }
 
-    // Decay text formation force
+    // The simulation lets the text go when its release runs out
     if (this.textReleaseTimer > 0) {
-      this.textReleaseTimer -= dt;
-      const releasePct = Math.max(0, this.textReleaseTimer / 500);
-      for (const p of this.textFormationTargets) {
-        p.targetForce = 0.03 * releasePct;
-      }
-      if (this.textReleaseTimer <= 0) {
-        this._releaseText();
-      }
+      this.textReleaseTimer = Math.max(0, this.textReleaseTimer - dt);
     }
 
     // Update cursor trail
@@ -858,44 +692,66 @@ export class Organism {
     }
   }
 
+  /* Ease toward the analyser's levels — quick to rise, slow to fall, so beats read as pulses */
+  _updateAudioLevels() {
+    const target = this.music.getLevels();
+    for (const key of Object.keys(this.audioLevels)) {
+      const diff = target[key] - this.audioLevels[key];
+      this.audioLevels[key] += diff * (diff > 0 ? 0.5 : 0.08);
+    }
+  }
+
   _bloom() {
     this.generation++;
     this.music.onGeneration(this.generation);
 
-    const count = 15 + Math.floor(Math.random() * 10);
+    const count = 15 + Math.floor(this.random() * 10);
     const mx = this.input.state.px;
     const my = this.input.state.py;
 
     for (let i = 0; i < count; i++) {
       const angle = i * GOLDEN_ANGLE + this.generation * 0.5;
-      const r = 10 + Math.random() * 30;
+      const r = 10 + this.random() * 30;
       const x = mx + Math.cos(angle) * r;
       const y = my + Math.sin(angle) * r;
 
       const hueShift = this.generation * 8;
-      const h = (this.profile.primary.h + hueShift + Math.random() * 10) % 360;
+      const h = (this.profile.primary.h + hueShift + this.random() * 10) % 360;
 
-      this.pool.add(x, y, {
+      this.sim.send("spawn", x, y, {
         generation: this.generation,
-        radius: 1.5 + Math.random() * 1.5,
+        radius: 1.5 + this.random() * 1.5,
         hue: h,
         saturation: this.profile.primary.s - this.generation * 3,
-        lightness: this.profile.primary.l + Math.random() * 10,
+        lightness: this.profile.primary.l + this.random() * 10,
         alpha: 0.7 - this.generation * 0.08,
         decay: 0.02 + this.generation * 0.005,
         maxTrail: this.profile.trailLength,
-        vx: (Math.random() - 0.5) * 0.5,
-        vy: (Math.random() - 0.5) * 0.5,
+        vx: (this.random() - 0.5) * 0.5,
+        vy: (this.random() - 0.5) * 0.5,
       });
     }
   }
 
+  // ── Circadian profile ──
+  _refreshCircadian() {
+    this.profile = getCircadianProfile(this.clock.now(), getLocation(), paletteById(this.paletteId));
+    this.starField?.setTint(this.profile.secondary.h);
+    this._applyProfileToMusic();
+    this.env.applyTheme(this.profile);
+  }
+
+  /* Hand the profile's keyframe blend to the music, which crossfades mood and scale */
+  _applyProfileToMusic() {
+    const { from, to, amount } = this.profile.musicBlend;
+    this.music.setScale(from.scale, to.scale, amount);
+    this.music.setMood(from.mood, to.mood, amount);
+    this.music.setSeason(this.profile.season);
+  }
+
   // ── Idle text labels (B1) ──
   _getIdleTextLabels() {
-    const labels = [];
-    for (const [, node] of this.memory.nodes) {
-      if (node.discovered) labels.push(node.label);
-    }
+    const labels = MEMORIES.filter(m => this.discovered.has(m.id)).map(m => m.label);
     if (labels.length === 0) labels.push("nikolai onken");
     return labels;
   }
@@ -908,10 +764,11 @@ export class Organism {
     let nearest = null;
     let nearestDist = Infinity;
 
-    for (const [id, node] of this.memory.nodes) {
-      if (!node.particle || !node.discovered) continue;
-      const dx = node.particle.x - px;
-      const dy = node.particle.y - py;
+    for (const id of this.discovered) {
+      const view = this._nodeView(id);
+      if (!view) continue;
+      const dx = view.x - px;
+      const dy = view.y - py;
       const dist = Math.sqrt(dx * dx + dy * dy);
       if (dist < resonanceRadius && dist < nearestDist) {
         nearestDist = dist;
@@ -922,7 +779,7 @@ export class Organism {
     if (nearest && nearest !== this.resonanceTarget && this.resonanceCooldown <= 0) {
       this.resonanceTarget = nearest;
       this.resonanceCooldown = 1200; // 1.2s cooldown between resonances
-      const node = this.memory.nodes.get(nearest);
+      const node = MEMORY_BY_ID.get(nearest);
       // Interrupt any active text release to show new node's text immediately
       if (this.textReleaseTimer > 0) {
         this._releaseText();
@@ -934,9 +791,9 @@ export class Organism {
       this._formText(node.label, 0.015); // softer force than discovery
       this.discoveredOverlay = node;
       this.overlayFade = 0.6; // dimmer overlay for resonance
-      this.music.playMelody(stringToMelody(node.label));
+      this.music.playMelody(motifFor(node), this._stereoX(node), instrumentFor(node));
       // Pulse connected nodes
-      this.memory.pulseConnected(nearest);
+      this.sim.send("pulse", nearest);
     } else if (!nearest) {
       this.resonanceTarget = null;
     }
@@ -944,26 +801,17 @@ export class Organism {
 
   // ── Constellation breathing (A2) ──
   _updateCompletedConstellation(dt) {
-    // Orbital drift — slow constant-velocity orbit of work nodes around root
-    this.orbitPhase += dt * 0.00003;
-    for (const [id, node] of this.memory.nodes) {
-      if (node.type !== "work" || !node.particle || !node.discovered) continue;
-      const orig = this._originalAnchors.get(id);
-      if (!orig) continue;
-      const angle = orig.angle + this.orbitPhase;
-      node.anchorX = this.centerX + Math.cos(angle) * orig.dist;
-      node.anchorY = this.centerY + Math.sin(angle) * orig.dist;
-    }
+    // Orbital drift of the work nodes runs in the simulation
 
     // Connection pulse waves — periodic network-wide pulse from root
     this.networkPulseTimer += dt;
     if (this.networkPulseTimer > 8000) { // every 8 seconds
       this.networkPulseTimer = 0;
-      const rootNode = this.memory.nodes.get("root");
-      if (rootNode?.particle) {
+      const root = this._nodeView("root");
+      if (root) {
         this.networkPulseWave = {
-          x: rootNode.particle.x,
-          y: rootNode.particle.y,
+          x: root.x,
+          y: root.y,
           radius: 0,
           maxRadius: this.organismRadius * 2,
           speed: 200,
@@ -981,20 +829,20 @@ export class Organism {
 
     // Stellar wind — flowing particle currents between node clusters
     this.stellarWindTimer += dt;
-    if (this.stellarWindTimer > 1200 && this.pool.count < 350) {
+    if (this.stellarWindTimer > 1200 && this.sim.view.count < 350) {
       this.stellarWindTimer = 0;
-      const memParticles = this._memoryParticles;
+      const memParticles = this.sim.view.nodes.filter(Boolean);
       if (memParticles.length >= 2) {
-        const src = memParticles[Math.floor(Math.random() * memParticles.length)];
-        const dst = memParticles[Math.floor(Math.random() * memParticles.length)];
+        const src = memParticles[Math.floor(this.random() * memParticles.length)];
+        const dst = memParticles[Math.floor(this.random() * memParticles.length)];
         if (src !== dst) {
           const dx = dst.x - src.x;
           const dy = dst.y - src.y;
           const dist = Math.sqrt(dx * dx + dy * dy) || 1;
-          const speed = 0.4 + Math.random() * 0.4;
-          this.pool.add(src.x, src.y, {
+          const speed = 0.4 + this.random() * 0.4;
+          this.sim.send("spawn", src.x, src.y, {
             generation: 1,
-            radius: 0.8 + Math.random() * 0.8,
+            radius: 0.8 + this.random() * 0.8,
             hue: (src.hue + dst.hue) / 2,
             saturation: src.saturation,
             lightness: src.lightness + 15,
@@ -1009,33 +857,61 @@ export class Organism {
     }
   }
 
+  // ── Layout strategy (spiral | force) ──
+  setLayout(name) {
+    if (!LAYOUTS[name]) return false;
+    this._layout = name;
+    this.sim.send("setLayout", name); // anchors ease over once memories are placed
+    return true;
+  }
+
+  // ── Timeline mode ──
+  setTimeline(on) {
+    this.timelineActive = !!on;
+    this.sim.send("setTimeline", this.timelineActive);
+    return this.timelineActive;
+  }
+
+  toggleTimeline() {
+    return this.setTimeline(!this.timelineActive);
+  }
+
+  get layout() {
+    return this._layout;
+  }
+
+  /* Switch to the next layout strategy; returns its name */
+  cycleLayout() {
+    const names = Object.keys(LAYOUTS);
+    this.setLayout(names[(names.indexOf(this.layout) + 1) % names.length]);
+    return this.layout;
+  }
+
   // ── Click-to-revisit (A3) ──
   revisitNode(id) {
     return this._revisitNode(id);
   }
 
+  /* Normalised screen x of a node's particle — where its melody sits in the stereo field */
+  _stereoX(node) {
+    const view = node && this._nodeView(node.id);
+    return view ? view.x / this.env.width : 0.5;
+  }
+
   _revisitNode(id) {
-    const node = this.memory.nodes.get(id);
-    if (!node?.discovered || !node.particle) return;
+    const node = MEMORY_BY_ID.get(id);
+    if (!this.discovered.has(id) || !this._nodeView(id)) return;
     // Replay shockwave
-    this.memory.shockwaves.push({
-      x: node.particle.x,
-      y: node.particle.y,
-      radius: 0,
-      maxRadius: 300,
-      speed: 500,
-      alpha: 0.6,
-      hue: node.particle.hue,
-    });
+    this.sim.send("shockwave", id, { maxRadius: 300, speed: 500, alpha: 0.6 });
     // Release any active text formation before forming new text
     if (this.textFormationActive) this._releaseText();
     // Replay text formation + overlay
     this._formText(node.label);
     this.discoveredOverlay = node;
     this.overlayFade = 1.0;
-    this.music.playMelody(stringToMelody(node.label));
+    this.music.playMelody(motifFor(node), this._stereoX(node), instrumentFor(node));
     // Pulse connected nodes
-    this.memory.pulseConnected(id);
+    this.sim.send("pulse", id);
     if (this._onRevisit) this._onRevisit(id);
   }
 
@@ -1060,6 +936,7 @@ export class Organism {
       const id = this.tourNodeOrder[this.tourIndex];
       this._revisitNode(id);
       this._focusMemory(id);
+      writeDeepLink(id, { replace: true });
     }
   }
 
@@ -1071,20 +948,95 @@ export class Organism {
     const id = this.tourNodeOrder[0];
     this._revisitNode(id);
     this._focusMemory(id);
+    writeDeepLink(id, { replace: true });
   }
 
   stopTour() {
     this.tourActive = false;
   }
 
+  // ── Deep links ──
+  _openDeepLink(id) {
+    if (!MEMORY_BY_ID.has(id)) return;
+    if (!this.discovered.has(id)) {
+      this._discover(id); // _revisitNode below plays the melody and forms the label
+      saveProgress(this.discovered);
+      if (this._onDiscoveryChange) this._onDiscoveryChange();
+    }
+    this.focusedMemoryIndex = this.memoryIds.indexOf(id);
+    this._focusMemory(id);
+    this._revisitNode(id);
+  }
+
+  _onPopState() {
+    const id = readDeepLink();
+    if (!id) {
+      this.focusedMemoryIndex = -1;
+      return;
+    }
+    if (this.tourActive) this.stopTour();
+    if (this.introPhase === "ready" && this.memoriesPlaced) {
+      this._openDeepLink(id);
+    } else {
+      this._pendingDeepLink = id;
+    }
+  }
+
+  // ── Forget me — clear saved progress and return to an undiscovered sky ──
+  forgetProgress() {
+    clearProgress();
+    this.stopTour();
+    this.sim.send("reset");
+    this.discovered.clear();
+    this._played.clear();
+    this.constellationComplete = false;
+    this._restoredComplete = false;
+    this.networkPulseWave = null;
+    this.tourNodeOrder = [];
+    this.resonanceTarget = null;
+    this.discoveredOverlay = null;
+    this.overlayFade = 0;
+    if (this._onDiscoveryChange) this._onDiscoveryChange();
+  }
+
+  /* Mark a memory discovered by the visitor (keyboard, deep link) — its melody counts as played */
+  _discover(id) {
+    this.discovered.add(id);
+    this._played.add(id);
+    this.sim.send("discover", id);
+    this._vibrate();
+  }
+
+  _vibrate() {
+    if (this.input.state.isTouch && typeof navigator !== "undefined" && navigator.vibrate) navigator.vibrate(10);
+  }
+
+  /* A memory's particle in the latest view, or null before it is born */
+  _nodeView(id) {
+    const index = this.memoryIds.indexOf(id);
+    return index < 0 ? null : this.sim.view.nodes[index];
+  }
+
+  /* Screen position of a memory's particle ({ x, y }), or null before it is born */
+  memoryPosition(id) {
+    const view = this._nodeView(id);
+    return view ? { x: view.x, y: view.y } : null;
+  }
+
+  /* Live particles in the latest view */
+  get particleCount() {
+    return this.sim.view.count;
+  }
+
   // ── Find nearest discovered node to a screen position ──
   findNearestNode(x, y, maxDist) {
     let nearest = null;
     let nearestDist = maxDist || Infinity;
-    for (const [id, node] of this.memory.nodes) {
-      if (!node.discovered || !node.particle) continue;
-      const dx = node.particle.x - x;
-      const dy = node.particle.y - y;
+    for (const id of this.discovered) {
+      const view = this._nodeView(id);
+      if (!view) continue;
+      const dx = view.x - x;
+      const dy = view.y - y;
       const dist = Math.sqrt(dx * dx + dy * dy);
       if (dist < nearestDist) {
         nearestDist = dist;
@@ -1098,81 +1050,38 @@ export class Organism {
     const targetForce = force || 0.03;
     // B3: denser sampling for short labels
     const step = text.length <= 8 ? 2 : 3;
-    const fontSize = Math.min(48, window.innerWidth / text.length * 0.8);
+    const fontSize = Math.min(48, this.env.width / text.length * 0.8);
     const width = text.length * fontSize;
     const height = fontSize * 2;
-    const positions = textToPositions(text, fontSize, width, height, step);
+    const positions = textToPositions(text, fontSize, width, height, step, this.env.createCanvas);
 
     const offsetX = this.centerX - width / 2;
     const offsetY = this.centerY - height / 2 - 80;
 
-    const textCenterX = this.centerX;
-    const textCenterY = offsetY + height / 2;
-    const available = this.pool.particles
-      .filter(p => !p.isMemory && p.targetX === null)
-      .sort((a, b) => {
-        const da = (a.x - textCenterX) ** 2 + (a.y - textCenterY) ** 2;
-        const db = (b.x - textCenterX) ** 2 + (b.y - textCenterY) ** 2;
-        return da - db;
-      });
-
-    // B3: spawn temporary particles if not enough available
-    const needed = positions.length;
-    const deficit = needed - available.length;
-    if (deficit > 0) {
-      const toSpawn = Math.min(deficit, 150);
-      for (let i = 0; i < toSpawn; i++) {
-        const angle = Math.random() * TWO_PI;
-        const dist = 50 + Math.random() * 150;
-        const px = textCenterX + Math.cos(angle) * dist;
-        const py = textCenterY + Math.sin(angle) * dist;
-        const p = this.pool.add(px, py, {
-          generation: 1,
-          radius: 0.8 + Math.random() * 0.8,
-          hue: this.profile.primary.h,
-          saturation: this.profile.primary.s,
-          lightness: this.profile.primary.l + 10,
-          alpha: 0.5,
-          decay: 0.015, // auto-decay after release
-          maxTrail: 2,
-          vx: 0,
-          vy: 0,
-        });
-        if (p) available.push(p);
-      }
+    const targets = new Float64Array(positions.length * 2);
+    for (let i = 0; i < positions.length; i++) {
+      targets[i * 2] = positions[i].x + offsetX;
+      targets[i * 2 + 1] = positions[i].y + offsetY;
     }
-
-    const usable = Math.min(available.length, positions.length);
+    // The simulation pulls free particles onto the label, spawning more in the primary color if short
+    const center = { x: this.centerX, y: offsetY + height / 2 };
+    this.sim.send("formText", targets, center, targetForce, this.profile.primary);
 
     this.textFormationActive = true;
-    this.textFormationTargets = [];
     this.textReleaseTimer = 0;
-    this.textFormationAge = 0;
     this.textHoldTimer = 0;
-
-    for (let i = 0; i < usable; i++) {
-      const p = available[i];
-      p.targetX = positions[i].x + offsetX;
-      p.targetY = positions[i].y + offsetY;
-      p.targetForce = targetForce;
-      this.textFormationTargets.push(p);
-    }
   }
 
   _startGracefulRelease() {
     if (!this.textFormationActive) return;
     this.textFormationActive = false;
     this.textReleaseTimer = 500;
+    this.sim.send("startTextRelease");
   }
 
   _releaseText() {
     this.textReleaseTimer = 0;
-    for (const p of this.textFormationTargets) {
-      p.targetX = null;
-      p.targetY = null;
-      p.targetForce = 0;
-    }
-    this.textFormationTargets = [];
+    this.sim.send("releaseText");
   }
 
   // ── 3D Projection ──────────────────────────────────────
@@ -1211,12 +1120,22 @@ export class Organism {
     };
   }
 
+  /* Scratch [x, y] buffer for one polyline handed to the renderer */
+  _polyline(points) {
+    if (this._lineScratch.length < points * 2) this._lineScratch = new Float32Array(points * 4);
+    return this._lineScratch;
+  }
+
   // ── Drawing ────────────────────────────────────────────
 
   _draw() {
+    // WebGL context lost — carry on with the 2D path
+    if (this.renderer.lost) {
+      this.renderer = new Canvas2DRenderer(this.ctx, this.env.createCanvas);
+    }
     const ctx = this.ctx;
-    const w = window.innerWidth;
-    const h = window.innerHeight;
+    const w = this.env.width;
+    const h = this.env.height;
 
     const [br, bg, bb] = this.profile.bg;
     if (this.firstFrame) {
@@ -1239,8 +1158,10 @@ export class Organism {
         ctx.drawImage(result.staticLayers[li], px, py);
         ctx.drawImage(result.twinkleLayers[li], px, py);
       }
-      // Shooting stars on top of star layers
+      // Shooting stars on top of star layers, then the moon in its current phase
       this.starField.drawShootingStars(ctx);
+      this.starField.drawMoon(ctx, this.profile.moon, this.profile.moon.visibility,
+        this.parallaxX * 0.02, this.parallaxY * 0.02);
       ctx.globalAlpha = 1;
     }
 
@@ -1279,15 +1200,17 @@ export class Organism {
     ctx.fillStyle = ambGlow;
     ctx.fillRect(this.centerX - glowR, this.centerY - glowR, glowR * 2, glowR * 2);
 
+    const view = this.sim.view;
+
     // ── Root node stellar core ──
-    const rootNode = this.memory.nodes.get("root");
-    if (rootNode?.particle) {
-      const rProj = this._project3D(rootNode.particle.x, rootNode.particle.y);
+    const rootNode = this._nodeView("root");
+    if (rootNode) {
+      const rProj = this._project3D(rootNode.x, rootNode.y);
       this._drawStellarCore(ctx, rProj.x, rProj.y);
     }
 
     // ── Shockwaves ──
-    for (const sw of this.memory.shockwaves) {
+    for (const sw of view.shockwaves) {
       const swProj = this._project3D(sw.x, sw.y);
       ctx.beginPath();
       ctx.arc(swProj.x, swProj.y, sw.radius * swProj.scale, 0, TWO_PI);
@@ -1314,14 +1237,23 @@ export class Organism {
       ctx.stroke();
     }
 
+    // ── Timeline axis (fades with timeline mode) ──
+    if (this.timelineFade > 0.01) {
+      this._drawTimelineAxis(ctx, w, h);
+    }
+
+    // ── Particle layer: streams, trails, glows and cores go through the renderer ──
+    const renderer = this.renderer;
+    renderer.begin();
+
     // ── Flowing connection streams ──
-    for (const stream of this.memory.flowStreams) {
-      const fromNode = this.memory.nodes.get(stream.from);
-      const toNode = this.memory.nodes.get(stream.to);
-      if (!fromNode?.particle || !toNode?.particle) continue;
+    for (const stream of view.flowStreams) {
+      const fromNode = this._nodeView(stream.from);
+      const toNode = this._nodeView(stream.to);
+      if (!fromNode || !toNode) continue;
 
-      const p1 = this._project3D(fromNode.particle.x, fromNode.particle.y);
-      const p2 = this._project3D(toNode.particle.x, toNode.particle.y);
+      const p1 = this._project3D(fromNode.x, fromNode.y);
+      const p2 = this._project3D(toNode.x, toNode.y);
 
       // Curved path with perpendicular offset
       const mx = (p1.x + p2.x) / 2;
@@ -1334,211 +1266,191 @@ export class Organism {
       const cpx = mx + perpX;
       const cpy = my + perpY;
 
-      // Faint connection line
-      ctx.beginPath();
-      ctx.moveTo(p1.x, p1.y);
-      ctx.quadraticCurveTo(cpx, cpy, p2.x, p2.y);
-      ctx.strokeStyle = `hsla(${this.profile.primary.h}, 50%, 50%, 0.08)`;
-      ctx.lineWidth = 1;
-      ctx.stroke();
+      // Faint connection line, sampled along the quadratic curve
+      const xy = this._polyline(STREAM_SEGMENTS + 1);
+      for (let i = 0; i <= STREAM_SEGMENTS; i++) {
+        const t = i / STREAM_SEGMENTS;
+        const mt = 1 - t;
+        xy[i * 2] = mt * mt * p1.x + 2 * mt * t * cpx + t * t * p2.x;
+        xy[i * 2 + 1] = mt * mt * p1.y + 2 * mt * t * cpy + t * t * p2.y;
+      }
+      renderer.line(xy, STREAM_SEGMENTS + 1, this.profile.primary.h, 50, 50, 0.08, 1);
 
       // Flowing particles along the curve
-      for (const fp of stream.particles) {
-        const t = fp.t;
+      for (const t of stream.t) {
         const mt = 1 - t;
         const px = mt * mt * p1.x + 2 * mt * t * cpx + t * t * p2.x;
         const py = mt * mt * p1.y + 2 * mt * t * cpy + t * t * p2.y;
-        ctx.beginPath();
-        ctx.arc(px, py, 1.5, 0, TWO_PI);
-        ctx.fillStyle = `hsla(${this.profile.accent.h}, 80%, 70%, 0.5)`;
-        ctx.fill();
+        renderer.disc(px, py, 1.5, this.profile.accent.h, 80, 70, 0.5);
       }
     }
 
     // ── Connection trails (temporary, on discovery) ──
-    for (const trail of this.memory.connectionTrails) {
-      const fromNode = this.memory.nodes.get(trail.from);
-      const toNode = this.memory.nodes.get(trail.to);
-      if (!fromNode?.particle || !toNode?.particle) continue;
-
-      const fp1 = this._project3D(fromNode.particle.x, fromNode.particle.y);
-      const fp2 = this._project3D(toNode.particle.x, toNode.particle.y);
-      const progress = trail.age / trail.maxAge;
+    for (const trail of view.connectionTrails) {
+      const fromNode = this._nodeView(trail.from);
+      const toNode = this._nodeView(trail.to);
+      if (!fromNode || !toNode) continue;
+
+      const fp1 = this._project3D(fromNode.x, fromNode.y);
+      const fp2 = this._project3D(toNode.x, toNode.y);
+      const progress = trail.progress;
       const alpha = 1 - progress;
 
-      ctx.beginPath();
-      ctx.moveTo(fp1.x, fp1.y);
-      ctx.lineTo(fp2.x, fp2.y);
-      ctx.strokeStyle = `hsla(${this.profile.accent.h}, 80%, 60%, ${alpha * 0.3})`;
-      ctx.lineWidth = 1;
-      ctx.stroke();
+      const xy = this._polyline(2);
+      xy[0] = fp1.x; xy[1] = fp1.y;
+      xy[2] = fp2.x; xy[3] = fp2.y;
+      renderer.line(xy, 2, this.profile.accent.h, 80, 60, alpha * 0.3, 1);
 
       const streamCount = 5;
       for (let i = 0; i < streamCount; i++) {
         const t = ((progress * 3 + i / streamCount) % 1);
         const sx = fp1.x + (fp2.x - fp1.x) * t;
         const sy = fp1.y + (fp2.y - fp1.y) * t;
-        ctx.beginPath();
-        ctx.arc(sx, sy, 1.5, 0, TWO_PI);
-        ctx.fillStyle = `hsla(${this.profile.accent.h}, 90%, 70%, ${alpha * 0.6})`;
-        ctx.fill();
+        renderer.disc(sx, sy, 1.5, this.profile.accent.h, 90, 70, alpha * 0.6);
       }
     }
 
-    // ── Draw particles ──
-    const particles = this.pool.particles;
-    const glowSprite = this._glowSprite;
-
-    for (let i = 0; i < particles.length; i++) {
-      const p = particles[i];
-      if (!isFinite(p.x) || !isFinite(p.y) || p.radius <= 0) continue;
-
-      // Snap rendering: when particle is near its text target, use target position for rendering
-      let srcX = p.x;
-      let srcY = p.y;
-      if (p.targetX !== null && p.targetForce > 0) {
-        const dx = p.targetX - p.x;
-        const dy = p.targetY - p.y;
-        if (dx * dx + dy * dy < 4) { // within 2px
-          srcX = p.targetX;
-          srcY = p.targetY;
-        }
-      }
+    // ── Draw particles (VIEW layout, positions already text-snapped) ──
+    const buf = view.particles;
+    let o = 0;
+    for (let i = 0; i < view.count; i++) {
+      const x = buf[o + VIEW.x];
+      const y = buf[o + VIEW.y];
+      const radius = buf[o + VIEW.radius];
+      const hue = buf[o + VIEW.hue];
+      const sat = buf[o + VIEW.saturation];
+      const light = buf[o + VIEW.lightness];
+      const opacity = buf[o + VIEW.opacity];
+      const memoryIndex = buf[o + VIEW.memory];
+      const trailLength = buf[o + VIEW.trail];
+      const breathPhase = buf[o + VIEW.breathPhase];
+      const trailAt = o + VIEW.fields;
+      o = trailAt + trailLength * 2;
+      if (!isFinite(x) || !isFinite(y) || radius <= 0) continue;
 
       // 3D projection
-      const proj = this._project3D(srcX, srcY);
+      const proj = this._project3D(x, y);
       const drawX = proj.x;
       const drawY = proj.y;
-      const depthScale = proj.scale;
 
       // Scaled radius for depth
-      const pRadius = p.radius * depthScale;
+      const pRadius = radius * proj.scale;
 
       // Trail
-      if (p.trail.length > 1) {
-        ctx.beginPath();
-        const tp0 = this._project3D(p.trail[0].x, p.trail[0].y);
-        ctx.moveTo(tp0.x, tp0.y);
-        for (let t = 1; t < p.trail.length; t++) {
-          const tp = this._project3D(p.trail[t].x, p.trail[t].y);
-          ctx.lineTo(tp.x, tp.y);
+      if (trailLength > 1) {
+        const xy = this._polyline(trailLength);
+        for (let t = 0; t < trailLength; t++) {
+          const tp = this._project3D(buf[trailAt + t * 2], buf[trailAt + t * 2 + 1]);
+          xy[t * 2] = tp.x;
+          xy[t * 2 + 1] = tp.y;
         }
-        ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, ${p.alpha * p.life * 0.15})`;
-        ctx.lineWidth = pRadius * 0.5;
-        ctx.stroke();
+        renderer.line(xy, trailLength, hue, sat, light, opacity * 0.15, pRadius * 0.5);
       }
 
       // Glow — depth-scaled
-      if (p.isMemory) {
-        const node = this.memory.nodes.get(p.memoryId);
-        const isIdentity = node?.type === "identity";
-
-        if (isIdentity && node?.discovered) {
-          const nebulaR = Math.max(0.001, pRadius * 12);
-          const nebulaGlow = ctx.createRadialGradient(drawX, drawY, 0, drawX, drawY, nebulaR);
-          nebulaGlow.addColorStop(0, `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, ${p.alpha * p.life * 0.15})`);
-          nebulaGlow.addColorStop(0.5, `hsla(${p.hue}, ${p.saturation - 10}%, ${p.lightness - 10}%, ${p.alpha * p.life * 0.06})`);
-          nebulaGlow.addColorStop(1, "transparent");
-          ctx.fillStyle = nebulaGlow;
-          ctx.fillRect(drawX - nebulaR, drawY - nebulaR, nebulaR * 2, nebulaR * 2);
+      const isMemory = memoryIndex >= 0;
+      if (isMemory) {
+        const mem = MEMORIES[memoryIndex];
+        const swell = this.audioLevels.amplitude; // glow swells with the music's loudness
+
+        if (mem.type === "identity" && this.discovered.has(mem.id)) {
+          const alpha = Math.min(1, opacity * 0.15 * (1 + swell));
+          renderer.glow(drawX, drawY, pRadius * (12 + swell * 4), hue, sat, light, alpha, 0.4, 10);
         } else {
-          const glowSize = Math.max(0.001, pRadius * 8);
-          const particleGlow = ctx.createRadialGradient(drawX, drawY, 0, drawX, drawY, glowSize);
-          particleGlow.addColorStop(0, `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, ${p.alpha * p.life * 0.4})`);
-          particleGlow.addColorStop(0.5, `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, ${p.alpha * p.life * 0.1})`);
-          particleGlow.addColorStop(1, "transparent");
-          ctx.fillStyle = particleGlow;
-          ctx.fillRect(drawX - glowSize, drawY - glowSize, glowSize * 2, glowSize * 2);
+          const alpha = Math.min(1, opacity * 0.4 * (1 + swell));
+          renderer.glow(drawX, drawY, pRadius * (8 + swell * 3), hue, sat, light, alpha, 0.25);
         }
-      } else if (glowSprite) {
-        const spriteSize = pRadius * 3;
-        ctx.globalAlpha = p.alpha * p.life * 0.3;
-        ctx.drawImage(glowSprite, drawX - spriteSize, drawY - spriteSize, spriteSize * 2, spriteSize * 2);
-        ctx.globalAlpha = 1;
+      } else {
+        renderer.sprite(drawX, drawY, pRadius * 3, opacity * 0.3);
       }
 
       // Core — depth-scaled
-      const breathScale = p.isMemory ? 1 + Math.sin(p.breathPhase + this.breathPhase * 3) * 0.15 : 1;
-      const r = pRadius * breathScale;
-      ctx.beginPath();
-      ctx.arc(drawX, drawY, r, 0, TWO_PI);
-      ctx.fillStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness + 15}%, ${p.alpha * p.life})`;
-      ctx.fill();
+      const breathScale = isMemory ? 1 + Math.sin(breathPhase + this.breathPhase * 3) * 0.15 : 1;
+      renderer.disc(drawX, drawY, pRadius * breathScale, hue, sat, light + 15, opacity);
+    }
 
-      // Memory indicator — depth-scaled
-      if (p.isMemory) {
-        const node = this.memory.nodes.get(p.memoryId);
+    renderer.end();
 
-        // Keyboard focus indicator
-        const isFocused = this.focusedMemoryIndex >= 0 && this.memoryIds[this.focusedMemoryIndex] === p.memoryId;
-        if (isFocused) {
+    // ── Memory indicators (rings, lensing, labels) — 2D, above the particle layer ──
+    for (let mi = 0; mi < MEMORIES.length; mi++) {
+      const p = view.nodes[mi];
+      if (!p || !isFinite(p.x) || !isFinite(p.y) || p.radius <= 0) continue;
+      const { id, label } = MEMORIES[mi];
+      const proj = this._project3D(p.x, p.y);
+      const drawX = proj.x;
+      const drawY = proj.y;
+      const depthScale = proj.scale;
+      const pRadius = p.radius * depthScale;
+
+      // Keyboard focus indicator
+      const isFocused = this.focusedMemoryIndex === mi;
+      if (isFocused) {
+        ctx.beginPath();
+        ctx.arc(drawX, drawY, pRadius * 3.5, 0, TWO_PI);
+        ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, 80%, 0.8)`;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+      }
+
+      if (this.discovered.has(id)) {
+        // Discovered: solid ring
+        ctx.beginPath();
+        ctx.arc(drawX, drawY, pRadius * 2.5, 0, TWO_PI);
+        ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, 0.6)`;
+        ctx.lineWidth = 0.5;
+        ctx.stroke();
+        // Resonance pulse (A1)
+        if (p.resonancePulse > 0) {
+          const pulseR = pRadius * (3 + (1 - p.resonancePulse) * 8);
           ctx.beginPath();
-          ctx.arc(drawX, drawY, pRadius * 3.5, 0, TWO_PI);
-          ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, 80%, 0.8)`;
-          ctx.lineWidth = 1.5;
+          ctx.arc(drawX, drawY, pulseR, 0, TWO_PI);
+          ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, 80%, ${p.resonancePulse * 0.5})`;
+          ctx.lineWidth = 1;
           ctx.stroke();
         }
+      } else {
+        // Undiscovered: flickering anomaly
+        const flicker = Math.sin(p.flickerPhase) * 0.5 + 0.5;
+        const irregularPulse = Math.sin(p.pulsePhase * 1.3) * 0.3 + Math.cos(p.flickerPhase * 0.7) * 0.2;
+        const isWarming = view.warmTarget === id;
+        const approachBoost = p.approachGlow * 0.4;
+        const baseAlpha = isWarming ? 0.45 : 0.15 + irregularPulse * 0.15;
+        const pulseAlpha = baseAlpha + flicker * 0.1 + approachBoost;
+        const pulseRadius = pRadius * 2.5 + Math.sin(p.pulsePhase) * 1.5 + flicker * 1.5;
 
-        if (node?.discovered) {
-          // Discovered: solid ring
-          ctx.beginPath();
-          ctx.arc(drawX, drawY, pRadius * 2.5, 0, TWO_PI);
-          ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, 0.6)`;
-          ctx.lineWidth = 0.5;
-          ctx.stroke();
-          // Resonance pulse (A1)
-          if (node.resonancePulse > 0) {
-            const pulseR = pRadius * (3 + (1 - node.resonancePulse) * 8);
-            ctx.beginPath();
-            ctx.arc(drawX, drawY, pulseR, 0, TWO_PI);
-            ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, 80%, ${node.resonancePulse * 0.5})`;
-            ctx.lineWidth = 1;
-            ctx.stroke();
-          }
-        } else if (node) {
-          // Undiscovered: flickering anomaly
-          const flicker = Math.sin(node.flickerPhase) * 0.5 + 0.5;
-          const irregularPulse = Math.sin(node.pulsePhase * 1.3) * 0.3 + Math.cos(node.flickerPhase * 0.7) * 0.2;
-          const isWarming = this.memory.warmTarget === p.memoryId;
-          const approachBoost = node.approachGlow * 0.4;
-          const baseAlpha = isWarming ? 0.45 : 0.15 + irregularPulse * 0.15;
-          const pulseAlpha = baseAlpha + flicker * 0.1 + approachBoost;
-          const pulseRadius = pRadius * 2.5 + Math.sin(node.pulsePhase) * 1.5 + flicker * 1.5;
+        ctx.beginPath();
+        ctx.arc(drawX, drawY, pulseRadius, 0, TWO_PI);
+        ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, ${pulseAlpha})`;
+        ctx.lineWidth = isWarming ? 1.2 : 0.6 + flicker * 0.3;
+        ctx.stroke();
 
-          ctx.beginPath();
-          ctx.arc(drawX, drawY, pulseRadius, 0, TWO_PI);
-          ctx.strokeStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness}%, ${pulseAlpha})`;
-          ctx.lineWidth = isWarming ? 1.2 : 0.6 + flicker * 0.3;
-          ctx.stroke();
+        // Approach: gravitational lensing
+        if (p.approachGlow > 0.1) {
+          const lensR = (30 + p.approachGlow * 25) * depthScale;
+          const lensGlow = ctx.createRadialGradient(drawX, drawY, 0, drawX, drawY, Math.max(0.001, lensR));
+          lensGlow.addColorStop(0, `hsla(${p.hue}, 60%, 70%, ${p.approachGlow * 0.15})`);
+          lensGlow.addColorStop(1, "transparent");
+          ctx.fillStyle = lensGlow;
+          ctx.fillRect(drawX - lensR, drawY - lensR, lensR * 2, lensR * 2);
+        }
 
-          // Approach: gravitational lensing
-          if (node.approachGlow > 0.1) {
-            const lensR = (30 + node.approachGlow * 25) * depthScale;
-            const lensGlow = ctx.createRadialGradient(drawX, drawY, 0, drawX, drawY, Math.max(0.001, lensR));
-            lensGlow.addColorStop(0, `hsla(${p.hue}, 60%, 70%, ${node.approachGlow * 0.15})`);
-            lensGlow.addColorStop(1, "transparent");
-            ctx.fillStyle = lensGlow;
-            ctx.fillRect(drawX - lensR, drawY - lensR, lensR * 2, lensR * 2);
-          }
-
-          // Warming label preview
-          if (isWarming) {
-            ctx.globalAlpha = 0.3;
-            ctx.font = `500 ${Math.round(10 * depthScale)}px "Space Grotesk", sans-serif`;
-            ctx.textAlign = "center";
-            ctx.fillStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness + 20}%, 0.5)`;
-            ctx.fillText(node.label, drawX, drawY - 20 * depthScale);
-            ctx.globalAlpha = 1;
-          }
+        // Warming label preview
+        if (isWarming) {
+          ctx.globalAlpha = 0.3;
+          ctx.font = `500 ${Math.round(10 * depthScale)}px "Space Grotesk", sans-serif`;
+          ctx.textAlign = "center";
+          ctx.fillStyle = `hsla(${p.hue}, ${p.saturation}%, ${p.lightness + 20}%, 0.5)`;
+          ctx.fillText(label, drawX, drawY - 20 * depthScale);
+          ctx.globalAlpha = 1;
         }
       }
     }
 
     // ── Discovery progress ring around core ──
-    if (this.memory.discovered.size > 0 && rootNode?.particle) {
-      const rpProj = this._project3D(rootNode.particle.x, rootNode.particle.y);
+    if (this.discovered.size > 0 && rootNode) {
+      const rpProj = this._project3D(rootNode.x, rootNode.y);
       const total = MEMORIES.length;
-      const discovered = this.memory.discovered.size;
+      const discovered = this.discovered.size;
       const targetAngle = (discovered / total) * TWO_PI;
       this.progressAngle += (targetAngle - this.progressAngle) * 0.05;
 
@@ -1581,7 +1493,7 @@ export class Organism {
     }
 
     // ── Text formation glow (B3) ──
-    if (this.textFormationActive && this.textFormationTargets.length > 0) {
+    if (this.textFormationActive && view.textTargets > 0) {
       const tCenterY = this.centerY - 80;
       const glowR = Math.max(0.001, this.organismRadius * 0.4);
       const tGlow = ctx.createRadialGradient(this.centerX, tCenterY, 0, this.centerX, tCenterY, glowR);
@@ -1610,22 +1522,58 @@ export class Organism {
     }
   }
 
+  // ── Timeline axis with year ticks ──
+
+  _drawTimelineAxis(ctx, w, h) {
+    const axis = timelineAxis(this.centerX, this.centerY, w * 0.42, h * 0.40);
+    const a = this.timelineFade;
+    const start = this._project3D(axis.start.x, axis.start.y);
+    const end = this._project3D(axis.end.x, axis.end.y);
+
+    ctx.beginPath();
+    ctx.moveTo(start.x, start.y);
+    ctx.lineTo(end.x, end.y);
+    ctx.strokeStyle = `hsla(${this.profile.primary.h}, 50%, 60%, ${0.2 * a})`;
+    ctx.lineWidth = 1;
+    ctx.stroke();
+
+    ctx.font = `10px "IBM Plex Mono", monospace`;
+    ctx.fillStyle = `hsla(${this.profile.primary.h}, 30%, 75%, ${0.5 * a})`;
+    ctx.textAlign = axis.portrait ? "right" : "center";
+    ctx.textBaseline = "middle";
+    for (const tick of axis.ticks) {
+      const tp = this._project3D(tick.x, tick.y);
+      const tx = axis.portrait ? 4 : 0;
+      const ty = axis.portrait ? 0 : 4;
+      ctx.beginPath();
+      ctx.moveTo(tp.x - tx, tp.y - ty);
+      ctx.lineTo(tp.x + tx, tp.y + ty);
+      ctx.stroke();
+      if (axis.portrait) {
+        ctx.fillText(String(tick.year), tp.x - 10, tp.y);
+      } else {
+        ctx.fillText(String(tick.year), tp.x, tp.y + 14);
+      }
+    }
+    ctx.textBaseline = "alphabetic";
+  }
+
   // ── Nebula cloud system ──
 
   _seedNebulae(w, h) {
     this.nebulae = [];
-    const count = 4 + Math.floor(Math.random() * 3); // 4-6 nebulae
+    const count = 4 + Math.floor(this._nebulaRandom() * 3); // 4-6 nebulae
     for (let i = 0; i < count; i++) {
-      const hueOffset = (Math.random() - 0.5) * 60; // ±30 from primary
+      const hueOffset = (this._nebulaRandom() - 0.5) * 60; // ±30 from primary
       this.nebulae.push({
-        x: Math.random() * w,
-        y: Math.random() * h,
-        r: 200 + Math.random() * 350,
-        hue: (this.profile.primary.h + hueOffset + 360) % 360,
-        sat: 20 + Math.random() * 30,
-        alpha: 0.015 + Math.random() * 0.025, // very subtle: 1.5-4%
-        vx: (Math.random() - 0.5) * 2, // slow drift
-        vy: (Math.random() - 0.5) * 1.5,
+        x: this._nebulaRandom() * w,
+        y: this._nebulaRandom() * h,
+        r: 200 + this._nebulaRandom() * 350,
+        hueOffset, // hue follows the profile as it changes
+        sat: 20 + this._nebulaRandom() * 30,
+        alpha: 0.015 + this._nebulaRandom() * 0.025, // very subtle: 1.5-4%
+        vx: (this._nebulaRandom() - 0.5) * 2, // slow drift
+        vy: (this._nebulaRandom() - 0.5) * 1.5,
       });
     }
     this._nebulaSeeded = true;
@@ -1634,9 +1582,10 @@ export class Organism {
   _drawNebulae(ctx, w, h) {
     for (const neb of this.nebulae) {
       const r = Math.max(0.001, neb.r);
+      const hue = (this.profile.primary.h + neb.hueOffset + 360) % 360;
       const grad = ctx.createRadialGradient(neb.x, neb.y, 0, neb.x, neb.y, r);
-      grad.addColorStop(0, `hsla(${neb.hue}, ${neb.sat}%, 50%, ${neb.alpha})`);
-      grad.addColorStop(0.4, `hsla(${neb.hue}, ${neb.sat - 5}%, 40%, ${neb.alpha * 0.5})`);
+      grad.addColorStop(0, `hsla(${hue}, ${neb.sat}%, 50%, ${neb.alpha})`);
+      grad.addColorStop(0.4, `hsla(${hue}, ${neb.sat - 5}%, 40%, ${neb.alpha * 0.5})`);
       grad.addColorStop(1, "transparent");
       ctx.fillStyle = grad;
       ctx.fillRect(neb.x - r, neb.y - r, r * 2, r * 2);
@@ -1660,22 +1609,23 @@ export class Organism {
     ctx.fillStyle = halo;
     ctx.fillRect(x - haloR, y - haloR, haloR * 2, haloR * 2);
 
-    // Variable corona rays — each ray has independent pulse
+    // Variable corona rays — each ray has independent pulse; bass lengthens them, treble brightens
+    const { bass, treble } = this.audioLevels;
     const rayCount = 8;
     for (let i = 0; i < rayCount; i++) {
       const angle = this.coronaAngle + (i / rayCount) * TWO_PI;
       // Each ray pulses at its own frequency
       const rayPulse = Math.sin(this.breathPhase * (1.5 + i * 0.3) + i * 1.7);
-      const rayLen = size * (1.5 + rayPulse * 0.8);
+      const rayLen = size * (1.5 + rayPulse * 0.8 + bass * 1.2);
       const rx = x + Math.cos(angle) * rayLen;
       const ry = y + Math.sin(angle) * rayLen;
-      const rayAlpha = 0.1 + rayPulse * 0.06;
+      const rayAlpha = 0.1 + rayPulse * 0.06 + treble * 0.1;
 
       ctx.beginPath();
       ctx.moveTo(x, y);
       ctx.lineTo(rx, ry);
       ctx.strokeStyle = `hsla(${this.profile.accent.h}, 70%, 75%, ${rayAlpha})`;
-      ctx.lineWidth = 1 + rayPulse * 0.5;
+      ctx.lineWidth = 1 + rayPulse * 0.5 + bass * 0.8;
       ctx.stroke();
     }
 
@@ -1708,6 +1658,8 @@ export class Organism {
   }
 
   _handleKeyboard(e) {
+    if (e.target?.closest?.(PAGE_CONTROLS)) return;
+    if (BUTTON_KEYS.has(e.key) && e.target?.closest?.("button")) return;
     const memIds = this.memoryIds;
 
     if (e.key === "ArrowRight" || e.key === "ArrowDown") {
@@ -1718,6 +1670,7 @@ export class Organism {
         this.focusedMemoryIndex = (this.focusedMemoryIndex + 1) % memIds.length;
       }
       this._focusMemory(memIds[this.focusedMemoryIndex]);
+      writeDeepLink(memIds[this.focusedMemoryIndex]);
     } else if (e.key === "ArrowLeft" || e.key === "ArrowUp") {
       e.preventDefault();
       if (this.focusedMemoryIndex < 0) {
@@ -1726,26 +1679,30 @@ export class Organism {
         this.focusedMemoryIndex = (this.focusedMemoryIndex - 1 + memIds.length) % memIds.length;
       }
       this._focusMemory(memIds[this.focusedMemoryIndex]);
+      writeDeepLink(memIds[this.focusedMemoryIndex]);
     } else if (e.key === "Enter" && this.focusedMemoryIndex >= 0) {
       const id = memIds[this.focusedMemoryIndex];
-      const node = this.memory.nodes.get(id);
-      if (node && !node.discovered) {
-        this.memory.discover(id);
-        if (!node.musicPlayed) {
-          node.musicPlayed = true;
-          const melody = stringToMelody(node.label);
-          this.music.playMelody(melody);
+      const node = MEMORY_BY_ID.get(id);
+      const discovered = this.discovered.has(id);
+      if (!discovered) {
+        const played = this._played.has(id);
+        this._discover(id);
+        if (!played) {
+          const melody = motifFor(node);
+          this.music.playMelody(melody, this._stereoX(node), instrumentFor(node));
           this.discoveredOverlay = node;
           this.overlayFade = 1.0;
           this._formText(node.label);
         }
-        const rx = window.innerWidth * 0.42;
-        const ry = window.innerHeight * 0.40;
-        this.memory.computeAnchors(this.centerX, this.centerY, rx, ry);
+        saveProgress(this.discovered);
         if (this._onDiscoveryChange) this._onDiscoveryChange();
-      } else if (node?.discovered && node?.url) {
-        window.open(node.url, "_blank", "noopener,noreferrer");
-      } else if (node?.discovered) {
+      } else if (node.body && this._onOpenMemory) {
+        // Long-form content opens in the page's panel instead of the url
+        this._revisitNode(id);
+        this._onOpenMemory(id);
+      } else if (node.url) {
+        this.env.openUrl(node.url);
+      } else {
         // A3: Revisit identity/root nodes that have no URL
         this._revisitNode(id);
       }
@@ -1759,6 +1716,13 @@ export class Organism {
           this.startTour();
         }
       }
+    } else if ((e.key === "t" || e.key === "T") && !e.ctrlKey && !e.metaKey) {
+      this.toggleTimeline();
+      if (this._onTimelineChange) this._onTimelineChange(this.timelineActive);
+    } else if ((e.key === "l" || e.key === "L") && !e.ctrlKey && !e.metaKey) {
+      // Cycle constellation layout strategies
+      this.cycleLayout();
+      if (this._onLayoutChange) this._onLayoutChange(this.layout);
     } else if (e.key === "Escape") {
       this.overlayFade = 0;
       this.discoveredOverlay = null;
@@ -1768,12 +1732,12 @@ export class Organism {
   }
 
   _focusMemory(id) {
-    const node = this.memory.nodes.get(id);
-    if (node?.particle) {
-      this.input.state.px = node.particle.x;
-      this.input.state.py = node.particle.y;
-      this.input.state.x = node.particle.x;
-      this.input.state.y = node.particle.y;
+    const view = this._nodeView(id);
+    if (view) {
+      this.input.state.px = view.x;
+      this.input.state.py = view.y;
+      this.input.state.x = view.x;
+      this.input.state.y = view.y;
       // Don't set active during tour — it would trigger tour cancellation
       if (!this.tourActive) {
         this.input.state.active = true;
@@ -1783,24 +1747,30 @@ export class Organism {
 
   getDiscoveredPositions() {
     const result = [];
-    for (const [id, node] of this.memory.nodes) {
-      if (node.discovered && node.particle) {
+    for (const node of MEMORIES) {
+      const view = this._nodeView(node.id);
+      if (this.discovered.has(node.id) && view) {
         result.push({
-          id,
+          id: node.id,
           label: node.label,
           desc: node.desc || null,
           url: node.url || null,
           type: node.type,
-          x: node.particle.x,
-          y: node.particle.y,
+          x: view.x,
+          y: view.y,
         });
       }
     }
     return result;
   }
 
+  /* Seed that reproduces this session's sky, layout and melodies (?seed=) */
+  get seed() {
+    return this.rng.seed;
+  }
+
   getDiscoveryCount() {
-    return { discovered: this.memory.discovered.size, total: MEMORIES.length };
+    return { discovered: this.discovered.size, total: MEMORIES.length };
   }
 
   onDiscoveryChange(fn) {
@@ -1819,12 +1789,95 @@ export class Organism {
     this._onRevisit = fn;
   }
 
+  onOpenMemory(fn) {
+    this._onOpenMemory = fn;
+  }
+
+  onTimelineChange(fn) {
+    this._onTimelineChange = fn;
+  }
+
+  onLayoutChange(fn) {
+    this._onLayoutChange = fn;
+  }
+
   enableAudio() {
     this.music.enable();
+    this._saveAudioSettings();
   }
 
   toggleAudio() {
-    return this.music.toggle();
+    const on = this.music.toggle();
+    this._saveAudioSettings();
+    return on;
+  }
+
+  /* Sound was on when the visitor last left */
+  get audioPreferred() {
+    return this._audioPreferred;
+  }
+
+  get mix() {
+    return { ...this.music.mix };
+  }
+
+  /* Partial levels 0-1: { master, drones, texture, plucks, reverb } */
+  setMix(levels) {
+    this.music.setMix(levels);
+    this._saveAudioSettings();
+  }
+
+  _saveAudioSettings() {
+    this._audioPreferred = this.music.enabled;
+    saveAudioSettings({ enabled: this.music.enabled, mix: this.music.mix });
+  }
+
+  /* Hours since local midnight on the circadian clock (real or previewed) */
+  get timeOfDay() {
+    const date = this.clock.now();
+    return date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+  }
+
+  /* Whether the time of day is pinned rather than following the real clock */
+  get timeOverridden() {
+    return this.clock.overridden;
+  }
+
+  /* Preview the sky at `hours` (0-24), or null to return to the real time */
+  setTimeOfDay(hours) {
+    this.clock.set(hours);
+    this.circadianTimer = 0;
+    this._refreshCircadian();
+  }
+
+  /* Swap the palette in place — sky, music and page theme follow at once */
+  setPalette(id) {
+    this.paletteId = Object.hasOwn(PALETTES, id ?? "") ? id : DEFAULT_PALETTE;
+    savePaletteChoice(this.paletteId);
+    this._refreshCircadian();
+  }
+
+  /* Whether the visitor has shared a location for the sky (else the time zone guess is used) */
+  get hasSkyLocation() {
+    return loadSavedLocation() !== null;
+  }
+
+  /* Opt in to geolocation for real sunrise and sunset; resolves true once located */
+  async locateSky() {
+    const location = await requestGeolocation();
+    if (!location) return false;
+    this._refreshCircadian();
+    return true;
+  }
+
+  get canExportAudio() {
+    return this.music.hasRecording;
+  }
+
+  /* Re-render the session's music offline — resolves to a WAV Blob, or null */
+  async exportAudio() {
+    const buffer = await this.music.renderRecording();
+    return buffer ? encodeWav(buffer) : null;
   }
 
   get audioEnabled() {
@@ -1833,14 +1886,17 @@ export class Organism {
 
   stop() {
     this.running = false;
-    if (this.rafId) cancelAnimationFrame(this.rafId);
+    if (this.rafId) this.env.cancelFrame(this.rafId);
   }
 
   destroy() {
     this.stop();
     this.input.destroy();
     this.music.destroy();
-    window.removeEventListener("resize", this._boundResize);
-    window.removeEventListener("keydown", this._boundKeyDown);
+    this.renderer.destroy();
+    this.sim.destroy();
+    this.env.events.removeEventListener("resize", this._boundResize);
+    this.env.events.removeEventListener("keydown", this._boundKeyDown);
+    this.env.events.removeEventListener("popstate", this._boundPopState);
   }
 }
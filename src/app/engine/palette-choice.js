@@ -0,0 +1,42 @@
+"use client";
+
+/*
+ * The visitor's palette, persisted across visits in localStorage.
+ * Stored shape: { version, palette } — palette is a PALETTES id.
+ */
+
+import { PALETTES } from "./palettes.js";
+
+const STORAGE_KEY = "nikolaionken:palette";
+const SCHEMA_VERSION = 1;
+
+function getStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (e) {
+    return null; // storage disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+/* Saved palette id, or null when none is saved or it no longer exists */
+export function loadPaletteChoice() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+  if (!raw || typeof raw !== "object" || raw.version !== SCHEMA_VERSION) return null;
+  return Object.hasOwn(PALETTES, raw.palette ?? "") ? raw.palette : null;
+}
+
+export function savePaletteChoice(id) {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, palette: id }));
+  } catch (e) { /* quota exceeded or storage disabled */ }
+}
@@ -0,0 +1,214 @@
+/*
+ * Circadian palettes — plain, JSON-shaped data, no "use client" directive
+ * (validate.js checks them). A palette gives each phase its colors, motion
+ * and music; circadian.js blends between the phases over the day.
+ * Authored palettes in content/palettes/<id>.json (format:
+ * content/palettes/palette.schema.json) are merged in at build time, and
+ * any phase or field they leave out comes from the default.
+ *
+ * Phase fields:
+ *   bg                         [r, g, b], 0-255
+ *   primary, secondary, accent { h: 0-360, s: 0-100, l: 0-100 }
+ *   particleSpeed, breathRate  motion multipliers
+ *   trailLength                particle trail, in points (1-MAX_TRAIL_LENGTH)
+ *   glowIntensity              ambient glow, 0-1
+ *   musicMood                  one of MOODS
+ *   scale                      a SCALES name
+ */
+
+export const PHASE_NAMES = ["night", "dawn", "day", "dusk"]; // in cycle order
+
+/* Musical scale definitions (semitones from root) */
+export const SCALES = {
+  major:         [0, 2, 4, 5, 7, 9, 11],
+  aeolian:       [0, 2, 3, 5, 7, 8, 10],
+  dorian:        [0, 2, 3, 5, 7, 9, 10],
+  pentatonic:    [0, 2, 4, 7, 9],
+};
+
+// One per MOOD_PARAMS preset in music.js
+export const MOODS = ["ambient", "contemplative", "rhythmic", "melancholic"];
+
+export const DEFAULT_PALETTE = "default";
+
+// Longest palette trail — particles.js sizes its trail ring buffers from it
+export const MAX_TRAIL_LENGTH = 16;
+
+const BUILT_IN = {
+  default: {
+    label: "bioluminescent",
+    phases: {
+      night: {
+        bg: [10, 10, 15],
+        primary: { h: 174, s: 70, l: 55 },    // deep teal bioluminescence
+        secondary: { h: 220, s: 60, l: 40 },   // midnight blue
+        accent: { h: 174, s: 80, l: 65 },
+        particleSpeed: 0.6,
+        breathRate: 0.3,
+        trailLength: 10,
+        musicMood: "ambient",
+        glowIntensity: 0.6,
+        scale: "aeolian",
+      },
+      dawn: {
+        bg: [15, 12, 18],
+        primary: { h: 30, s: 70, l: 60 },      // warm amber
+        secondary: { h: 340, s: 40, l: 45 },    // rose
+        accent: { h: 45, s: 80, l: 70 },
+        particleSpeed: 0.8,
+        breathRate: 0.5,
+        trailLength: 8,
+        musicMood: "contemplative",
+        glowIntensity: 0.5,
+        scale: "pentatonic",
+      },
+      day: {
+        bg: [10, 12, 18],
+        primary: { h: 174, s: 75, l: 58 },     // bright teal
+        secondary: { h: 160, s: 50, l: 45 },    // sea green
+        accent: { h: 45, s: 90, l: 65 },        // gold
+        particleSpeed: 1.0,
+        breathRate: 0.7,
+        trailLength: 6,
+        musicMood: "rhythmic",
+        glowIntensity: 0.4,
+        scale: "major",
+      },
+      dusk: {
+        bg: [18, 10, 20],
+        primary: { h: 280, s: 50, l: 50 },     // purple
+        secondary: { h: 340, s: 60, l: 50 },    // rose-pink
+        accent: { h: 30, s: 80, l: 55 },        // amber
+        particleSpeed: 0.75,
+        breathRate: 0.4,
+        trailLength: 9,
+        musicMood: "melancholic",
+        glowIntensity: 0.55,
+        scale: "dorian",
+      },
+    },
+  },
+
+  // Black sky, saturated light colors and shorter trails for legibility
+  "high-contrast": {
+    label: "high contrast",
+    phases: {
+      night: {
+        bg: [0, 0, 0],
+        primary: { h: 174, s: 100, l: 65 },
+        secondary: { h: 220, s: 90, l: 65 },
+        accent: { h: 60, s: 100, l: 70 },
+        trailLength: 6,
+        glowIntensity: 0.8,
+      },
+      dawn: {
+        bg: [0, 0, 0],
+        primary: { h: 30, s: 100, l: 65 },
+        secondary: { h: 340, s: 90, l: 68 },
+        accent: { h: 55, s: 100, l: 70 },
+        trailLength: 5,
+        glowIntensity: 0.7,
+      },
+      day: {
+        bg: [0, 0, 0],
+        primary: { h: 180, s: 100, l: 65 },
+        secondary: { h: 150, s: 90, l: 60 },
+        accent: { h: 50, s: 100, l: 65 },
+        trailLength: 4,
+        glowIntensity: 0.6,
+      },
+      dusk: {
+        bg: [0, 0, 0],
+        primary: { h: 285, s: 90, l: 72 },
+        secondary: { h: 330, s: 90, l: 68 },
+        accent: { h: 35, s: 100, l: 65 },
+        trailLength: 5,
+        glowIntensity: 0.7,
+      },
+    },
+  },
+
+  // A single blue-grey hue; phases differ only in lightness and saturation
+  monochrome: {
+    label: "monochrome",
+    phases: {
+      night: {
+        bg: [8, 9, 12],
+        primary: { h: 215, s: 25, l: 70 },
+        secondary: { h: 215, s: 15, l: 45 },
+        accent: { h: 215, s: 35, l: 85 },
+      },
+      dawn: {
+        bg: [12, 12, 15],
+        primary: { h: 215, s: 20, l: 72 },
+        secondary: { h: 215, s: 12, l: 50 },
+        accent: { h: 215, s: 30, l: 88 },
+      },
+      day: {
+        bg: [12, 13, 16],
+        primary: { h: 215, s: 30, l: 75 },
+        secondary: { h: 215, s: 18, l: 55 },
+        accent: { h: 215, s: 40, l: 90 },
+      },
+      dusk: {
+        bg: [10, 10, 14],
+        primary: { h: 215, s: 22, l: 65 },
+        secondary: { h: 215, s: 14, l: 45 },
+        accent: { h: 215, s: 32, l: 82 },
+      },
+    },
+  },
+
+  // Embers at night, amber and gold by day
+  warm: {
+    label: "warm",
+    phases: {
+      night: {
+        bg: [14, 8, 6],
+        primary: { h: 20, s: 75, l: 55 },
+        secondary: { h: 350, s: 55, l: 40 },
+        accent: { h: 40, s: 85, l: 62 },
+      },
+      dawn: {
+        bg: [18, 10, 8],
+        primary: { h: 35, s: 85, l: 62 },
+        secondary: { h: 10, s: 60, l: 50 },
+        accent: { h: 50, s: 90, l: 70 },
+      },
+      day: {
+        bg: [16, 12, 8],
+        primary: { h: 42, s: 85, l: 60 },
+        secondary: { h: 25, s: 65, l: 50 },
+        accent: { h: 55, s: 95, l: 68 },
+      },
+      dusk: {
+        bg: [18, 8, 10],
+        primary: { h: 8, s: 70, l: 55 },
+        secondary: { h: 330, s: 55, l: 45 },
+        accent: { h: 30, s: 90, l: 60 },
+      },
+    },
+  },
+};
+
+/* Palette JSON from content/palettes — inlined by next.config.mjs at build time */
+const AUTHORED = JSON.parse(process.env.PALETTES || "{}");
+
+/* Fill the phases and fields a palette leaves out from the default (unknown phases are kept for validate.js) */
+function withDefaults(palette) {
+  const base = BUILT_IN[DEFAULT_PALETTE].phases;
+  const phases = { ...palette?.phases };
+  for (const name of PHASE_NAMES) {
+    phases[name] = { ...base[name], ...phases[name] };
+  }
+  return { ...palette, phases };
+}
+
+export const PALETTES = Object.fromEntries(
+  Object.entries({ ...BUILT_IN, ...AUTHORED }).map(([id, palette]) => [id, withDefaults(palette)]),
+);
+
+/* Palette by id, falling back to the default for unknown ids */
+export function paletteById(id) {
+  return Object.hasOwn(PALETTES, id ?? "") ? PALETTES[id] : PALETTES[DEFAULT_PALETTE];
+}
@@ -3,9 +3,12 @@
 /*
  * Particle system with Verlet integration and spatial hashing.
  * Each particle stores current + previous position for implicit velocity.
- * Optimized: numeric hash keys, pre-rendered glow sprites, star field layer.
+ * Optimized: structure-of-arrays pool with a free list and ring-buffer trails,
+ * numeric hash keys, pre-rendered glow sprites, star field layer.
  */
 
+import { MAX_TRAIL_LENGTH } from "./palettes.js";
+
 const CELL_SIZE = 40;
 
 export class SpatialHash {
@@ -59,32 +62,76 @@ export class SpatialHash {
 
 let nextId = 0;
 
+// Ring-buffer capacity per slot: the longest palette trail, plus the two extra points stellar wind gets
+export const MAX_TRAIL = MAX_TRAIL_LENGTH + 2;
+
+// Numeric per-particle fields, one Float64Array each on the pool
+const FIELDS = [
+  "x", "y", "px", "py",
+  "radius", "mass", "life", "decay", "generation",
+  "hue", "saturation", "lightness", "alpha",
+  "targetForce", "breathPhase",
+];
+
+/*
+ * Particle — a handle onto one pool slot. Reads and writes go straight to the
+ * pool's typed arrays. The pool makes one handle per slot up front and hands
+ * it out again each time the slot is reused, with a new id — so anything that
+ * keeps a handle across frames (text targets, birth releases) must drop it
+ * once it is no longer alive, or compare ids.
+ */
 export class Particle {
-  constructor(x, y, opts = {}) {
-    this.id = nextId++;
-    this.x = x;
-    this.y = y;
-    this.px = x - (opts.vx || 0);
-    this.py = y - (opts.vy || 0);
-    this.generation = opts.generation || 0;
-    this.radius = opts.radius || 2;
-    this.mass = opts.mass || 1;
-    this.life = 1.0;
-    this.maxLife = 1.0;
-    this.decay = opts.decay || 0;
-    this.hue = opts.hue || 174;
-    this.saturation = opts.saturation || 70;
-    this.lightness = opts.lightness || 55;
-    this.alpha = opts.alpha || 0.8;
-    this.isMemory = opts.isMemory || false;
-    this.memoryId = opts.memoryId || null;
-    this.targetX = null;
-    this.targetY = null;
-    this.targetForce = 0;
-    this.breathPhase = Math.random() * Math.PI * 2;
-    this.birthTime = performance.now();
-    this.trail = [];
-    this.maxTrail = opts.maxTrail || 6;
+  constructor(pool, slot) {
+    this.pool = pool;
+    this.slot = slot;
+    this.id = -1;
+  }
+
+  get alive() {
+    return this.pool._denseIndex[this.slot] >= 0;
+  }
+
+  get isMemory() {
+    return this.pool.isMemory[this.slot] === 1;
+  }
+
+  set isMemory(v) {
+    this.pool.isMemory[this.slot] = v ? 1 : 0;
+  }
+
+  get memoryId() {
+    return this.pool.memoryId[this.slot];
+  }
+
+  set memoryId(v) {
+    this.pool.memoryId[this.slot] = v;
+  }
+
+  // Text formation target — null when free (stored as NaN)
+  get targetX() {
+    const v = this.pool.targetX[this.slot];
+    return Number.isNaN(v) ? null : v;
+  }
+
+  set targetX(v) {
+    this.pool.targetX[this.slot] = v ?? NaN;
+  }
+
+  get targetY() {
+    const v = this.pool.targetY[this.slot];
+    return Number.isNaN(v) ? null : v;
+  }
+
+  set targetY(v) {
+    this.pool.targetY[this.slot] = v ?? NaN;
+  }
+
+  get maxTrail() {
+    return this.pool.maxTrail[this.slot];
+  }
+
+  set maxTrail(v) {
+    this.pool.maxTrail[this.slot] = Math.min(MAX_TRAIL, v);
   }
 
   verletStep(dt, damping) {
@@ -101,34 +148,114 @@ export class Particle {
     this.y += fy;
   }
 
+  // Trail: ring buffer of recent positions, index 0 = newest
   updateTrail() {
-    this.trail.unshift({ x: this.x, y: this.y });
-    if (this.trail.length > this.maxTrail) {
-      this.trail.pop();
-    }
+    const pool = this.pool;
+    const s = this.slot;
+    const head = (pool.trailHead[s] + 1) % MAX_TRAIL;
+    pool.trailHead[s] = head;
+    pool.trailX[s * MAX_TRAIL + head] = pool.x[s];
+    pool.trailY[s * MAX_TRAIL + head] = pool.y[s];
+    if (pool.trailLength[s] < pool.maxTrail[s]) pool.trailLength[s]++;
+  }
+
+  get trailLength() {
+    return this.pool.trailLength[this.slot];
+  }
+
+  trailX(i) {
+    const s = this.slot;
+    return this.pool.trailX[s * MAX_TRAIL + (this.pool.trailHead[s] - i + MAX_TRAIL) % MAX_TRAIL];
   }
+
+  trailY(i) {
+    const s = this.slot;
+    return this.pool.trailY[s * MAX_TRAIL + (this.pool.trailHead[s] - i + MAX_TRAIL) % MAX_TRAIL];
+  }
+}
+
+for (const name of FIELDS) {
+  Object.defineProperty(Particle.prototype, name, {
+    get() {
+      return this.pool[name][this.slot];
+    },
+    set(v) {
+      this.pool[name][this.slot] = v;
+    },
+  });
 }
 
 export class ParticlePool {
-  constructor(maxParticles = 600) {
-    this.particles = [];
+  constructor(maxParticles = 600, random = Math.random) {
+    this.random = random;
+    this.capacity = maxParticles;
     this.max = maxParticles;
     this.hash = new SpatialHash();
+    this.particles = []; // live handles, densely packed
+
+    for (const name of FIELDS) this[name] = new Float64Array(maxParticles);
+    this.targetX = new Float64Array(maxParticles);
+    this.targetY = new Float64Array(maxParticles);
+    this.isMemory = new Uint8Array(maxParticles);
+    this.memoryId = new Array(maxParticles).fill(null);
+    this.maxTrail = new Uint8Array(maxParticles);
+    this.trailX = new Float64Array(maxParticles * MAX_TRAIL);
+    this.trailY = new Float64Array(maxParticles * MAX_TRAIL);
+    this.trailHead = new Uint8Array(maxParticles);
+    this.trailLength = new Uint8Array(maxParticles);
+
+    this._handles = Array.from({ length: maxParticles }, (_, s) => new Particle(this, s));
+    this._denseIndex = new Int32Array(maxParticles).fill(-1); // slot -> index in particles, -1 = free
+    this._free = new Int32Array(maxParticles); // stack of free slots
+    this._freeCount = maxParticles;
+    for (let i = 0; i < maxParticles; i++) this._free[i] = maxParticles - 1 - i;
   }
 
-  add(x, y, opts) {
-    if (this.particles.length >= this.max) return null;
-    const p = new Particle(x, y, opts);
+  add(x, y, opts = {}) {
+    if (this.particles.length >= this.max || this._freeCount === 0) return null;
+    const s = this._free[--this._freeCount];
+
+    this.x[s] = x;
+    this.y[s] = y;
+    this.px[s] = x - (opts.vx || 0);
+    this.py[s] = y - (opts.vy || 0);
+    this.generation[s] = opts.generation || 0;
+    this.radius[s] = opts.radius || 2;
+    this.mass[s] = opts.mass || 1;
+    this.life[s] = 1.0;
+    this.decay[s] = opts.decay || 0;
+    this.hue[s] = opts.hue || 174;
+    this.saturation[s] = opts.saturation || 70;
+    this.lightness[s] = opts.lightness || 55;
+    this.alpha[s] = opts.alpha || 0.8;
+    this.isMemory[s] = opts.isMemory ? 1 : 0;
+    this.memoryId[s] = opts.memoryId || null;
+    this.targetX[s] = NaN;
+    this.targetY[s] = NaN;
+    this.targetForce[s] = 0;
+    this.breathPhase[s] = this.random() * Math.PI * 2;
+    this.maxTrail[s] = Math.min(MAX_TRAIL, opts.maxTrail || 6);
+    this.trailHead[s] = 0;
+    this.trailLength[s] = 0;
+
+    const p = this._handles[s];
+    p.id = nextId++;
+    this._denseIndex[s] = this.particles.length;
     this.particles.push(p);
     return p;
   }
 
   remove(p) {
-    const idx = this.particles.indexOf(p);
-    if (idx >= 0) {
-      this.particles[idx] = this.particles[this.particles.length - 1];
-      this.particles.pop();
-    }
+    if (p.pool !== this || !p.alive) return;
+    const s = p.slot;
+    const idx = this._denseIndex[s];
+    const last = this.particles[this.particles.length - 1];
+    this.particles[idx] = last;
+    this._denseIndex[last.slot] = idx;
+    this.particles.pop();
+    this.memoryId[s] = null;
+    this._denseIndex[s] = -1;
+    this._free[this._freeCount++] = s;
   }
 
   rebuild() {
@@ -154,11 +281,11 @@ export class ParticlePool {
 let _glowCanvas = null;
 let _glowSize = 0;
 
-export function getGlowSprite(size) {
+export function getGlowSprite(size, createCanvas = () => document.createElement("canvas")) {
   if (_glowCanvas && _glowSize === size) return _glowCanvas;
   _glowSize = size;
-  _glowCanvas = document.createElement("canvas");
   const s = size * 2;
+  _glowCanvas = createCanvas(s, s);
   _glowCanvas.width = s;
   _glowCanvas.height = s;
   const ctx = _glowCanvas.getContext("2d");
@@ -187,8 +314,8 @@ const STAR_COLORS = [
   { h: 200, s: 40, l: 90, weight: 0.03 },  // Blue (O class, hot)
 ];
 
-function pickStarColor() {
-  let r = Math.random();
+function pickStarColor(random) {
+  let r = random();
   for (const c of STAR_COLORS) {
     r -= c.weight;
     if (r <= 0) return c;
@@ -196,8 +323,20 @@ function pickStarColor() {
   return STAR_COLORS[0];
 }
 
+// How far the Milky Way leans toward the profile's hue, and the change worth a re-render
+const MILKY_WAY_TINT = 0.5;
+const MILKY_WAY_TINT_STEP = 3; // degrees
+
+/* Hue part way from a to b, the short way round */
+function mixHue(a, b, t) {
+  const d = ((b - a + 540) % 360) - 180;
+  return Math.round((a + d * t + 360) % 360);
+}
+
 export class StarField {
-  constructor(w, h) {
+  constructor(w, h, random = Math.random, createCanvas = () => document.createElement("canvas")) {
+    this.random = random;
+    this.createCanvas = createCanvas;
     this.layers = []; // 3 depth layers
     // Two canvases per layer: static (pre-rendered) and twinkle (redrawn periodically)
     this.staticCanvases = [];
@@ -207,8 +346,11 @@ export class StarField {
     this.phase = 0;
     this.lastTwinklePhase = -1;
     this.shootingStars = [];
-    this.nextShootingStarTime = 15000 + Math.random() * 20000;
+    this.nextShootingStarTime = 15000 + this.random() * 20000;
     this.shootingStarTimer = 0;
+    this._moonCanvas = null; // cached disc, redrawn when the phase or size changes
+    this._moonKey = "";
+    this.tint = null; // Milky Way hue from the circadian profile (setTint), null until set
     this._generate(w, h);
   }
 
@@ -232,11 +374,11 @@ export class StarField {
     const mwLen = Math.max(w, h) * 0.8;
     for (let i = 0; i < 8; i++) {
       const t = (i / 7 - 0.5) * mwLen;
-      const scatter = (Math.random() - 0.5) * mwWidth * 0.5;
+      const scatter = (this.random() - 0.5) * mwWidth * 0.5;
       this._mwPatches.push({
         x: mwCx + Math.cos(mwAngle) * t + Math.sin(mwAngle) * scatter,
         y: mwCy + Math.sin(mwAngle) * t - Math.cos(mwAngle) * scatter,
-        r: mwWidth * (0.5 + Math.random() * 0.8),
+        r: mwWidth * (0.5 + this.random() * 0.8),
       });
     }
 
@@ -251,28 +393,28 @@ export class StarField {
       const stars = [];
 
       for (let i = 0; i < cfg.count; i++) {
-        let x = Math.random() * w;
-        let y = Math.random() * h;
+        let x = this.random() * w;
+        let y = this.random() * h;
 
         // Increase density near Milky Way band
-        if (Math.random() < 0.35) {
+        if (this.random() < 0.35) {
           const cx = w / 2;
           const cy = h / 2;
-          const t = (Math.random() - 0.5) * 2 * Math.max(w, h) * 0.7;
-          const scatter = (Math.random() - 0.5) * mwWidth;
+          const t = (this.random() - 0.5) * 2 * Math.max(w, h) * 0.7;
+          const scatter = (this.random() - 0.5) * mwWidth;
           x = cx + mwCos * t + mwSin * scatter;
           y = cy + mwSin * t - mwCos * scatter;
           x = ((x % w) + w) % w;
           y = ((y % h) + h) % h;
         }
 
-        const color = pickStarColor();
+        const color = pickStarColor(this.random);
         stars.push({
           x, y,
-          r: cfg.minR + Math.random() * (cfg.maxR - cfg.minR),
-          baseAlpha: cfg.minAlpha + Math.random() * (cfg.maxAlpha - cfg.minAlpha),
-          twinkleSpeed: 0.3 + Math.random() * 2.5,
-          twinkleOffset: Math.random() * Math.PI * 2,
+          r: cfg.minR + this.random() * (cfg.maxR - cfg.minR),
+          baseAlpha: cfg.minAlpha + this.random() * (cfg.maxAlpha - cfg.minAlpha),
+          twinkleSpeed: 0.3 + this.random() * 2.5,
+          twinkleOffset: this.random() * Math.PI * 2,
           hue: color.h,
           sat: color.s,
           light: color.l,
@@ -282,33 +424,33 @@ export class StarField {
 
       // Add bright stars with diffraction spikes
       for (let i = 0; i < cfg.brightCount; i++) {
-        const color = pickStarColor();
+        const color = pickStarColor(this.random);
         stars.push({
-          x: Math.random() * w,
-          y: Math.random() * h,
-          r: 1.5 + Math.random() * 1.5,
-          baseAlpha: 0.5 + Math.random() * 0.3,
-          twinkleSpeed: 0.2 + Math.random() * 1.0,
-          twinkleOffset: Math.random() * Math.PI * 2,
+          x: this.random() * w,
+          y: this.random() * h,
+          r: 1.5 + this.random() * 1.5,
+          baseAlpha: 0.5 + this.random() * 0.3,
+          twinkleSpeed: 0.2 + this.random() * 1.0,
+          twinkleOffset: this.random() * Math.PI * 2,
           hue: color.h,
           sat: color.s,
           light: color.l,
           bright: true,
-          spikeLen: 4 + Math.random() * 8,
-          spikeAngle: Math.random() * Math.PI,
+          spikeLen: 4 + this.random() * 8,
+          spikeAngle: this.random() * Math.PI,
         });
       }
 
       this.layers.push({ stars, parallax: cfg.parallax });
 
       // Static canvas: Milky Way (far layer only) + non-bright stars at base alpha
-      const sc = document.createElement("canvas");
+      const sc = this.createCanvas(w, h);
       sc.width = w;
       sc.height = h;
       this.staticCanvases.push(sc);
 
       // Twinkle canvas: redrawn periodically with current twinkle state
-      const tc = document.createElement("canvas");
+      const tc = this.createCanvas(w, h);
       tc.width = w;
       tc.height = h;
       this.twinkleCanvases.push(tc);
@@ -343,12 +485,21 @@ export class StarField {
     }
   }
 
+  /* Lean the Milky Way toward `hue`; re-renders the static layers when it has moved a few degrees */
+  setTint(hue) {
+    if (this.tint !== null && Math.abs(((hue - this.tint + 540) % 360) - 180) < MILKY_WAY_TINT_STEP) return;
+    this.tint = hue;
+    this._renderStatic();
+  }
+
   _renderMilkyWay(ctx) {
+    const core = this.tint === null ? 220 : mixHue(220, this.tint, MILKY_WAY_TINT);
+    const edge = this.tint === null ? 200 : mixHue(200, this.tint, MILKY_WAY_TINT);
     for (const patch of this._mwPatches) {
       const r = Math.max(0.001, patch.r);
       const grad = ctx.createRadialGradient(patch.x, patch.y, 0, patch.x, patch.y, r);
-      grad.addColorStop(0, `hsla(220, 20%, 60%, 0.025)`);
-      grad.addColorStop(0.4, `hsla(200, 15%, 50%, 0.012)`);
+      grad.addColorStop(0, `hsla(${core}, 20%, 60%, 0.025)`);
+      grad.addColorStop(0.4, `hsla(${edge}, 15%, 50%, 0.012)`);
       grad.addColorStop(1, "transparent");
       ctx.fillStyle = grad;
       ctx.fillRect(patch.x - r, patch.y - r, r * 2, r * 2);
@@ -365,7 +516,7 @@ export class StarField {
     this.shootingStarTimer += dt;
     if (this.shootingStarTimer > this.nextShootingStarTime) {
       this.shootingStarTimer = 0;
-      this.nextShootingStarTime = 15000 + Math.random() * 20000;
+      this.nextShootingStarTime = 15000 + this.random() * 20000;
       this._spawnShootingStar();
     }
 
@@ -381,25 +532,25 @@ export class StarField {
   }
 
   _spawnShootingStar() {
-    const speed = 300 + Math.random() * 400;
-    const edge = Math.random();
+    const speed = 300 + this.random() * 400;
+    const edge = this.random();
     let x, y, baseAngle;
     if (edge < 0.25) {
       // Left edge — angle points rightward (roughly -π/4 to π/4)
-      x = 0; y = Math.random() * this.h;
-      baseAngle = (Math.random() - 0.5) * Math.PI * 0.5;
+      x = 0; y = this.random() * this.h;
+      baseAngle = (this.random() - 0.5) * Math.PI * 0.5;
     } else if (edge < 0.5) {
       // Right edge — angle points leftward (roughly 3π/4 to 5π/4)
-      x = this.w; y = Math.random() * this.h;
-      baseAngle = Math.PI + (Math.random() - 0.5) * Math.PI * 0.5;
+      x = this.w; y = this.random() * this.h;
+      baseAngle = Math.PI + (this.random() - 0.5) * Math.PI * 0.5;
     } else if (edge < 0.75) {
       // Top edge — angle points downward (roughly π/4 to 3π/4)
-      x = Math.random() * this.w; y = 0;
-      baseAngle = Math.PI * 0.5 + (Math.random() - 0.5) * Math.PI * 0.5;
+      x = this.random() * this.w; y = 0;
+      baseAngle = Math.PI * 0.5 + (this.random() - 0.5) * Math.PI * 0.5;
     } else {
       // Bottom edge — angle points upward (roughly -3π/4 to -π/4)
-      x = Math.random() * this.w; y = this.h;
-      baseAngle = -Math.PI * 0.5 + (Math.random() - 0.5) * Math.PI * 0.5;
+      x = this.random() * this.w; y = this.h;
+      baseAngle = -Math.PI * 0.5 + (this.random() - 0.5) * Math.PI * 0.5;
     }
 
     this.shootingStars.push({
@@ -407,9 +558,9 @@ export class StarField {
       vx: Math.cos(baseAngle) * speed,
       vy: Math.sin(baseAngle) * speed,
       age: 0,
-      lifetime: 600 + Math.random() * 600,
-      trailLen: 80 + Math.random() * 120,
-      hue: Math.random() < 0.3 ? 45 : 200,
+      lifetime: 600 + this.random() * 600,
+      trailLen: 80 + this.random() * 120,
+      hue: this.random() < 0.3 ? 45 : 200,
     });
   }
 
@@ -489,6 +640,68 @@ export class StarField {
     }
   }
 
+  /*
+   * Moon in the upper right — moon is { phase, illumination } from seasons.js,
+   * alpha its visibility. Lit side on the right while waxing (northern view).
+   */
+  drawMoon(ctx, moon, alpha, parallaxX = 0, parallaxY = 0) {
+    if (!moon || alpha <= 0.01) return;
+    const r = Math.max(6, Math.min(this.w, this.h) * 0.028);
+    const x = this.w * 0.84 + parallaxX;
+    const y = this.h * 0.16 + parallaxY;
+
+    // Halo grows with the lit fraction
+    const haloR = r * (2 + moon.illumination * 4);
+    const halo = ctx.createRadialGradient(x, y, r * 0.8, x, y, haloR);
+    halo.addColorStop(0, `hsla(45, 30%, 85%, ${alpha * moon.illumination * 0.12})`);
+    halo.addColorStop(1, "transparent");
+    ctx.fillStyle = halo;
+    ctx.fillRect(x - haloR, y - haloR, haloR * 2, haloR * 2);
+
+    const canvas = this._renderMoon(moon.phase, r);
+    const prev = ctx.globalAlpha;
+    ctx.globalAlpha = prev * alpha;
+    ctx.drawImage(canvas, x - canvas.width / 2, y - canvas.height / 2);
+    ctx.globalAlpha = prev;
+  }
+
+  _renderMoon(phase, r) {
+    const key = `${Math.round(phase * 200)}:${Math.round(r)}`;
+    if (this._moonCanvas && this._moonKey === key) return this._moonCanvas;
+    const size = Math.ceil(r * 2) + 2;
+    const canvas = this._moonCanvas ?? this.createCanvas(size, size);
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext("2d");
+    const c = size / 2;
+    ctx.clearRect(0, 0, size, size);
+
+    // Earthshine — the unlit disc, barely there
+    ctx.beginPath();
+    ctx.arc(c, c, r, 0, Math.PI * 2);
+    ctx.fillStyle = "hsla(220, 15%, 60%, 0.08)";
+    ctx.fill();
+
+    // Lit part: the outer limb on the sunward side, back along the terminator
+    // ellipse, which bulges into the dark half once the moon is gibbous
+    const waxing = phase < 0.5;
+    const gibbous = phase > 0.25 && phase < 0.75;
+    const terminator = r * Math.abs(Math.cos(phase * Math.PI * 2));
+    ctx.beginPath();
+    ctx.arc(c, c, r, -Math.PI / 2, Math.PI / 2, !waxing);
+    ctx.ellipse(c, c, terminator, r, 0, Math.PI / 2, -Math.PI / 2, waxing ? !gibbous : gibbous);
+    ctx.closePath();
+    const lit = ctx.createRadialGradient(c - r * 0.3, c - r * 0.3, 0, c, c, r);
+    lit.addColorStop(0, "hsla(45, 25%, 95%, 0.95)");
+    lit.addColorStop(1, "hsla(40, 15%, 78%, 0.85)");
+    ctx.fillStyle = lit;
+    ctx.fill();
+
+    this._moonCanvas = canvas;
+    this._moonKey = key;
+    return canvas;
+  }
+
   drawShootingStars(ctx) {
     for (const ss of this.shootingStars) {
       const progress = ss.age / ss.lifetime;
@@ -0,0 +1,204 @@
+"use client";
+
+/*
+ * Particle physics — cohesion, breathing, separation, cursor attraction,
+ * multi-touch membrane, gyro gravity, text targets, shockwave push, Verlet.
+ *
+ * stepParticles() advances a ParticlePool in place, straight on its typed
+ * arrays. The simulation (simulation.js) that owns the pool calls it once
+ * per step — in simulation.worker.js, or inline when there is no worker.
+ */
+
+const CELL_SIZE = 40;
+const SEPARATION_DIST = 18;
+const COHESION = 0.0002; // slightly weaker for wider spread
+const DAMPING = 0.97;
+
+function cellKey(cx, cy) {
+  return (cx * 73856093) ^ (cy * 19349669);
+}
+
+/* Grid of pool slots by cell — same cells as SpatialHash */
+function buildGrid(pool) {
+  const cells = new Map();
+  const particles = pool.particles;
+  for (let i = 0; i < particles.length; i++) {
+    const s = particles[i].slot;
+    const k = cellKey((pool.x[s] / CELL_SIZE) | 0, (pool.y[s] / CELL_SIZE) | 0);
+    let arr = cells.get(k);
+    if (!arr) {
+      arr = [];
+      cells.set(k, arr);
+    }
+    arr.push(s);
+  }
+  return cells;
+}
+
+function verlet(pool, s) {
+  const vx = (pool.x[s] - pool.px[s]) * DAMPING;
+  const vy = (pool.y[s] - pool.py[s]) * DAMPING;
+  pool.px[s] = pool.x[s];
+  pool.py[s] = pool.y[s];
+  pool.x[s] += vx;
+  pool.y[s] += vy;
+}
+
+/*
+ * Advance every particle in the pool by one step, then trail and decay
+ * bookkeeping. anchorOf(slot) -> { anchorX, anchorY } for discovered memory
+ * particles, else null.
+ * params: { dt, cx, cy, breath, breathPhase, speed, cursor: {x, y} | null,
+ *           touches: [{x, y}], gyro: {x, y} | null, shockwaves: [{x, y, radius, alpha}] }
+ */
+export function stepParticles(pool, params, anchorOf) {
+  const { dt, cx, cy, breath, breathPhase, speed, cursor, touches, gyro, shockwaves } = params;
+  const { x: X, y: Y, px: PX, py: PY, targetX: TX, targetY: TY, targetForce: TF } = pool;
+  const particles = pool.particles;
+  const grid = buildGrid(pool);
+  const breathForce = breath * 0.02;
+
+  for (let i = 0; i < particles.length; i++) {
+    const s = particles[i].slot;
+    const isMemory = pool.isMemory[s] === 1;
+
+    // Anchor spring for discovered memory particles
+    const anchor = isMemory ? anchorOf(s) : null;
+    if (anchor) {
+      const wobbleX = Math.sin(breathPhase * 2 + pool.breathPhase[s]) * 3;
+      const wobbleY = Math.cos(breathPhase * 2 + pool.breathPhase[s]) * 3;
+      X[s] += (anchor.anchorX - X[s] + wobbleX) * 0.02;
+      Y[s] += (anchor.anchorY - Y[s] + wobbleY) * 0.02;
+      verlet(pool, s);
+      continue;
+    }
+
+    // Cohesion: gentler for wider constellation
+    const dx = cx - X[s];
+    const dy = cy - Y[s];
+    const dist = Math.sqrt(dx * dx + dy * dy) || 1;
+    X[s] += dx * COHESION * speed;
+    Y[s] += dy * COHESION * speed;
+
+    // Breathing oscillation
+    X[s] += -dx / dist * breathForce;
+    Y[s] += -dy / dist * breathForce;
+
+    // Separation
+    const x = X[s];
+    const y = Y[s];
+    const r2 = SEPARATION_DIST * SEPARATION_DIST;
+    const minCx = ((x - SEPARATION_DIST) / CELL_SIZE) | 0;
+    const maxCx = ((x + SEPARATION_DIST) / CELL_SIZE) | 0;
+    const minCy = ((y - SEPARATION_DIST) / CELL_SIZE) | 0;
+    const maxCy = ((y + SEPARATION_DIST) / CELL_SIZE) | 0;
+    for (let gx = minCx; gx <= maxCx; gx++) {
+      for (let gy = minCy; gy <= maxCy; gy++) {
+        const cell = grid.get(cellKey(gx, gy));
+        if (!cell) continue;
+        for (let j = 0; j < cell.length; j++) {
+          const n = cell[j];
+          if (n === s) continue;
+          const ndx = X[s] - X[n];
+          const ndy = Y[s] - Y[n];
+          const qdx = X[n] - x;
+          const qdy = Y[n] - y;
+          if (qdx * qdx + qdy * qdy > r2) continue;
+          const nd = Math.sqrt(ndx * ndx + ndy * ndy) || 1;
+          if (nd < SEPARATION_DIST) {
+            const force = ((SEPARATION_DIST - nd) / SEPARATION_DIST) * 0.05 * speed;
+            X[s] += ndx / nd * force;
+            Y[s] += ndy / nd * force;
+          }
+        }
+      }
+    }
+
+    // Cursor attraction
+    if (cursor && !isMemory) {
+      const cdx = cursor.x - X[s];
+      const cdy = cursor.y - Y[s];
+      const cdist = Math.sqrt(cdx * cdx + cdy * cdy) || 1;
+      if (cdist < 200) {
+        const attract = 0.0008 * speed * (1 - cdist / 200);
+        X[s] += cdx * attract;
+        Y[s] += cdy * attract;
+      }
+    }
+
+    // Multi-touch membrane
+    if (touches.length >= 2 && !isMemory) {
+      for (let t = 0; t < touches.length - 1; t++) {
+        const t1 = touches[t];
+        const t2 = touches[t + 1];
+        const lx = t2.x - t1.x;
+        const ly = t2.y - t1.y;
+        const len = Math.sqrt(lx * lx + ly * ly) || 1;
+        const ppx = X[s] - t1.x;
+        const ppy = Y[s] - t1.y;
+        const proj = Math.max(0, Math.min(1, (ppx * lx + ppy * ly) / (len * len)));
+        const closestX = t1.x + lx * proj;
+        const closestY = t1.y + ly * proj;
+        const lineDist = Math.sqrt((X[s] - closestX) ** 2 + (Y[s] - closestY) ** 2);
+        if (lineDist < 150 && lineDist > 5) {
+          const membraneForce = 0.002 * (1 - lineDist / 150);
+          X[s] += (closestX - X[s]) * membraneForce;
+          Y[s] += (closestY - Y[s]) * membraneForce;
+        }
+      }
+    }
+
+    // Gyroscope gravity
+    if (gyro) {
+      X[s] += gyro.x * 0.15 * speed;
+      Y[s] += gyro.y * 0.15 * speed;
+    }
+
+    // Text formation targets with convergence damping
+    if (!Number.isNaN(TX[s]) && TF[s] > 0) {
+      const tx = TX[s] - X[s];
+      const ty = TY[s] - Y[s];
+      const tDist = Math.sqrt(tx * tx + ty * ty);
+      X[s] += tx * TF[s];
+      Y[s] += ty * TF[s];
+      // Extra velocity damping when close — kills wobble
+      if (tDist < 8) {
+        const dampFactor = 0.85;
+        const vx = (X[s] - PX[s]) * dampFactor;
+        const vy = (Y[s] - PY[s]) * dampFactor;
+        PX[s] = X[s] - vx;
+        PY[s] = Y[s] - vy;
+      }
+    }
+
+    // Shockwave push
+    if (!isMemory) {
+      for (const sw of shockwaves) {
+        const sdx = X[s] - sw.x;
+        const sdy = Y[s] - sw.y;
+        const sdist = Math.sqrt(sdx * sdx + sdy * sdy) || 1;
+        const waveWidth = 40;
+        if (Math.abs(sdist - sw.radius) < waveWidth) {
+          const pushStrength = 2.0 * sw.alpha * (1 - Math.abs(sdist - sw.radius) / waveWidth);
+          X[s] += (sdx / sdist) * pushStrength;
+          Y[s] += (sdy / sdist) * pushStrength;
+        }
+      }
+    }
+
+    verlet(pool, s);
+  }
+
+  for (let i = 0; i < particles.length; i++) {
+    const p = particles[i];
+    const s = p.slot;
+    // Clamp to prevent NaN/Infinity propagation from unbounded physics
+    if (!isFinite(X[s]) || !isFinite(Y[s])) {
+      X[s] = PX[s] = cx;
+      Y[s] = PY[s] = cy;
+    }
+    p.updateTrail();
+    if (pool.decay[s] > 0) pool.life[s] -= pool.decay[s] * dt * 0.001;
+  }
+}
+
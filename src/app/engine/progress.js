@@ -0,0 +1,95 @@
+"use client";
+
+/*
+ * Discovery progress — persisted across visits in localStorage.
+ * Stored shape: { version, ids, discovered } where ids is the MEMORIES id list
+ * at save time, so changes to data.js can be detected and reconciled on load.
+ */
+
+import { MEMORIES } from "./data.js";
+
+const STORAGE_KEY = "nikolaionken:constellation";
+const SCHEMA_VERSION = 1;
+
+// Retired memory ids → their replacements. Add an entry when renaming an id in data.js.
+const RENAMED_IDS = {};
+
+function currentIds() {
+  return MEMORIES.map(m => m.id);
+}
+
+function getStorage() {
+  try {
+    return typeof window !== "undefined" ? window.localStorage : null;
+  } catch (e) {
+    return null; // storage disabled (privacy mode, sandboxed iframe)
+  }
+}
+
+/* Upgrade a stored record to the current schema. Returns null if unusable. */
+function migrate(record) {
+  if (!record || typeof record !== "object") return null;
+  if (record.version !== SCHEMA_VERSION) return null;
+  if (!Array.isArray(record.discovered)) return null;
+
+  const known = new Set(currentIds());
+  const discovered = [];
+  for (const id of record.discovered) {
+    const mapped = RENAMED_IDS[id] ?? id;
+    if (known.has(mapped) && !discovered.includes(mapped)) discovered.push(mapped);
+  }
+  return { version: SCHEMA_VERSION, ids: currentIds(), discovered };
+}
+
+function idsChanged(ids) {
+  const current = currentIds();
+  if (!Array.isArray(ids) || ids.length !== current.length) return true;
+  return ids.some((id, i) => id !== current[i]);
+}
+
+/* Load saved progress: { discovered: string[], complete: boolean } or null */
+export function loadProgress() {
+  const storage = getStorage();
+  if (!storage) return null;
+
+  let raw;
+  try {
+    raw = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch (e) {
+    return null;
+  }
+
+  const record = migrate(raw);
+  if (!record) {
+    if (raw) clearProgress();
+    return null;
+  }
+  // Rewrite reconciled data so the next load doesn't repeat the migration
+  if (idsChanged(raw.ids)) saveProgress(record.discovered);
+
+  return {
+    discovered: record.discovered,
+    complete: record.discovered.length === MEMORIES.length,
+  };
+}
+
+export function saveProgress(discoveredIds) {
+  const storage = getStorage();
+  if (!storage) return;
+  const record = {
+    version: SCHEMA_VERSION,
+    ids: currentIds(),
+    discovered: [...discoveredIds],
+  };
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch (e) { /* quota exceeded or storage disabled */ }
+}
+
+export function clearProgress() {
+  const storage = getStorage();
+  if (!storage) return;
+  try {
+    storage.removeItem(STORAGE_KEY);
+  } catch (e) { /* */ }
+}
@@ -0,0 +1,49 @@
+"use client";
+
+/*
+ * Seeded randomness — one seed reproduces the same sky, layout and melodies.
+ * createRandom() returns a mulberry32 stream callable like Math.random().
+ * fork(name) derives an independent stream per subsystem, so input-driven
+ * draws in one (blooms, plucks) never shift another (star placement).
+ */
+
+/* FNV-1a 32-bit hash — turns string seeds and fork names into stream seeds */
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalizeSeed(seed) {
+  if (seed === undefined || seed === null) return (Math.random() * 2 ** 32) >>> 0;
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  return hashSeed(String(seed));
+}
+
+export function createRandom(seed) {
+  const base = normalizeSeed(seed);
+  let state = base;
+
+  function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  random.seed = base;
+  random.fork = (name) => createRandom(hashSeed(`${base}:${name}`));
+  return random;
+}
+
+/* Seed from ?seed= (numeric values used as-is, anything else hashed), or null */
+export function readSeedParam() {
+  if (typeof window === "undefined") return null;
+  const value = new URLSearchParams(window.location.search).get("seed");
+  if (value === null || value === "") return null;
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
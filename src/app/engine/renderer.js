@@ -0,0 +1,382 @@
+"use client";
+
+/*
+ * Particle renderers — the layer of particle cores, glows, trails and
+ * connection streams. Everything else in _draw stays on the 2D context.
+ *
+ *   begin()                                   start a frame
+ *   line(xy, count, h, s, l, a, width)        polyline through count [x, y] pairs
+ *   glow(x, y, radius, h, s, l, a, mid, shade) soft radial glow; mid = alpha ratio at half radius,
+ *                                             shade = s/l drop at half radius (2D only)
+ *   sprite(x, y, radius, a)                   white glow sprite (ambient particles)
+ *   disc(x, y, radius, h, s, l, a)            solid core
+ *   end()                                     flush, composite into the 2D context
+ *
+ * Canvas2DRenderer draws immediately. WebGLRenderer batches into an offscreen
+ * WebGL2 canvas — instanced point sprites for glows (additive) and cores,
+ * primitive-restart line strips for trails and streams — then draws that
+ * canvas into the 2D context. createRenderer() falls back to 2D.
+ */
+
+import { getGlowSprite } from "./particles.js";
+
+const MAX_INSTANCES = 4096;
+const MAX_LINE_VERTS = 16384;
+const INSTANCE_FLOATS = 8; // x, y, radius, mid, r, g, b, a
+const LINE_FLOATS = 6; // x, y, r, g, b, a
+const RESTART_INDEX = 0xffffffff;
+
+/* ?renderer=webgl | 2d, or null */
+export function readRendererParam() {
+  if (typeof window === "undefined") return null;
+  const value = new URLSearchParams(window.location.search).get("renderer");
+  if (value === "webgl" || value === "webgl2") return "webgl2";
+  if (value === "2d" || value === "canvas") return "2d";
+  return null;
+}
+
+/* HSL (degrees, percent) to linear 0-1 RGB, written into out */
+function hslToRgb(h, s, l, out) {
+  const sat = Math.max(0, Math.min(100, s)) / 100;
+  const lig = Math.max(0, Math.min(100, l)) / 100;
+  const a = sat * Math.min(lig, 1 - lig);
+  const f = (n) => {
+    const k = (((n + h / 30) % 12) + 12) % 12;
+    return lig - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+  };
+  out[0] = f(0);
+  out[1] = f(8);
+  out[2] = f(4);
+  return out;
+}
+
+// ── Canvas 2D ────────────────────────────────────────────
+
+export class Canvas2DRenderer {
+  constructor(ctx, createCanvas) {
+    this.kind = "2d";
+    this.ctx = ctx;
+    this.lost = false;
+    this._sprite = getGlowSprite(16, createCanvas);
+  }
+
+  resize() {}
+  begin() {}
+  end() {}
+  destroy() {}
+
+  line(xy, count, h, s, l, a, width) {
+    if (count < 2) return;
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.moveTo(xy[0], xy[1]);
+    for (let i = 1; i < count; i++) ctx.lineTo(xy[i * 2], xy[i * 2 + 1]);
+    ctx.strokeStyle = `hsla(${h}, ${s}%, ${l}%, ${a})`;
+    ctx.lineWidth = width;
+    ctx.stroke();
+  }
+
+  glow(x, y, radius, h, s, l, a, mid = 0.25, shade = 0) {
+    const ctx = this.ctx;
+    const r = Math.max(0.001, radius);
+    const grad = ctx.createRadialGradient(x, y, 0, x, y, r);
+    grad.addColorStop(0, `hsla(${h}, ${s}%, ${l}%, ${a})`);
+    grad.addColorStop(0.5, `hsla(${h}, ${s - shade}%, ${l - shade}%, ${a * mid})`);
+    grad.addColorStop(1, "transparent");
+    ctx.fillStyle = grad;
+    ctx.fillRect(x - r, y - r, r * 2, r * 2);
+  }
+
+  sprite(x, y, radius, a) {
+    const ctx = this.ctx;
+    ctx.globalAlpha = a;
+    ctx.drawImage(this._sprite, x - radius, y - radius, radius * 2, radius * 2);
+    ctx.globalAlpha = 1;
+  }
+
+  disc(x, y, radius, h, s, l, a) {
+    const ctx = this.ctx;
+    ctx.beginPath();
+    ctx.arc(x, y, radius, 0, Math.PI * 2);
+    ctx.fillStyle = `hsla(${h}, ${s}%, ${l}%, ${a})`;
+    ctx.fill();
+  }
+}
+
+// ── WebGL2 ───────────────────────────────────────────────
+
+const POINT_VS = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec4 a_shape; // x, y, radius, mid (< 0: solid disc)
+layout(location = 2) in vec4 a_color;
+uniform vec2 u_resolution;
+out vec2 v_uv;
+out vec4 v_color;
+out float v_mid;
+out float v_radius;
+void main() {
+  // Discs get a 1px margin for the antialiased edge
+  float extent = a_shape.z + (a_shape.w < 0.0 ? 1.0 : 0.0);
+  vec2 clip = (a_shape.xy + a_corner * extent) / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_uv = a_corner * extent / max(a_shape.z, 0.001);
+  v_color = a_color;
+  v_mid = a_shape.w;
+  v_radius = a_shape.z;
+}`;
+
+const POINT_FS = `#version 300 es
+precision mediump float;
+in vec2 v_uv;
+in vec4 v_color;
+in float v_mid;
+in float v_radius;
+out vec4 outColor;
+void main() {
+  float d = length(v_uv);
+  float a;
+  if (v_mid < 0.0) {
+    a = clamp((1.0 - d) * v_radius + 0.5, 0.0, 1.0);
+  } else {
+    if (d > 1.0) discard;
+    a = d < 0.5 ? mix(1.0, v_mid, d * 2.0) : mix(v_mid, 0.0, d * 2.0 - 1.0);
+  }
+  a *= v_color.a;
+  outColor = vec4(v_color.rgb * a, a);
+}`;
+
+const LINE_VS = `#version 300 es
+layout(location = 0) in vec2 a_position;
+layout(location = 1) in vec4 a_color;
+uniform vec2 u_resolution;
+out vec4 v_color;
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_color = a_color;
+}`;
+
+const LINE_FS = `#version 300 es
+precision mediump float;
+in vec4 v_color;
+out vec4 outColor;
+void main() {
+  outColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}`;
+
+function compileProgram(gl, vsSource, fsSource) {
+  const program = gl.createProgram();
+  for (const [type, source] of [[gl.VERTEX_SHADER, vsSource], [gl.FRAGMENT_SHADER, fsSource]]) {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(gl.getShaderInfoLog(shader) || "shader compile failed");
+    }
+    gl.attachShader(program, shader);
+  }
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(gl.getProgramInfoLog(program) || "program link failed");
+  }
+  return program;
+}
+
+export class WebGLRenderer {
+  constructor(ctx, createCanvas) {
+    this.kind = "webgl2";
+    this.ctx = ctx;
+    this.lost = false;
+    this.width = 1;
+    this.height = 1;
+
+    this.canvas = createCanvas(1, 1);
+    const gl = this.canvas.getContext("webgl2", {
+      alpha: true,
+      premultipliedAlpha: true,
+      antialias: true,
+      depth: false,
+      stencil: false,
+    });
+    if (!gl) throw new Error("WebGL2 unavailable");
+    this.gl = gl;
+    // No restore — the organism swaps to the 2D renderer instead
+    this.canvas.addEventListener("webglcontextlost", () => { this.lost = true; });
+
+    this._pointProgram = compileProgram(gl, POINT_VS, POINT_FS);
+    this._lineProgram = compileProgram(gl, LINE_VS, LINE_FS);
+    this._pointResolution = gl.getUniformLocation(this._pointProgram, "u_resolution");
+    this._lineResolution = gl.getUniformLocation(this._lineProgram, "u_resolution");
+
+    // CPU-side batches
+    this._glows = new Float32Array(MAX_INSTANCES * INSTANCE_FLOATS);
+    this._discs = new Float32Array(MAX_INSTANCES * INSTANCE_FLOATS);
+    this._glowCount = 0;
+    this._discCount = 0;
+    this._lineVerts = new Float32Array(MAX_LINE_VERTS * LINE_FLOATS);
+    this._lineIndices = new Uint32Array(Math.ceil(MAX_LINE_VERTS * 1.5));
+    this._lineVertCount = 0;
+    this._lineIndexCount = 0;
+    this._rgb = [0, 0, 0];
+
+    // Point sprites: a unit quad, instanced per glow / disc
+    this._pointVao = gl.createVertexArray();
+    gl.bindVertexArray(this._pointVao);
+    const corners = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, corners);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    this._instanceBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this._glows.byteLength, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 4, gl.FLOAT, false, INSTANCE_FLOATS * 4, 0);
+    gl.vertexAttribDivisor(1, 1);
+    gl.enableVertexAttribArray(2);
+    gl.vertexAttribPointer(2, 4, gl.FLOAT, false, INSTANCE_FLOATS * 4, 16);
+    gl.vertexAttribDivisor(2, 1);
+
+    // Line strips: one vertex buffer, separated by the primitive restart index
+    this._lineVao = gl.createVertexArray();
+    gl.bindVertexArray(this._lineVao);
+    this._lineBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._lineBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this._lineVerts.byteLength, gl.DYNAMIC_DRAW);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, LINE_FLOATS * 4, 0);
+    gl.enableVertexAttribArray(1);
+    gl.vertexAttribPointer(1, 4, gl.FLOAT, false, LINE_FLOATS * 4, 8);
+    this._indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this._indexBuffer);
+    gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, this._lineIndices.byteLength, gl.DYNAMIC_DRAW);
+    gl.bindVertexArray(null);
+
+    gl.disable(gl.DEPTH_TEST);
+    gl.enable(gl.BLEND);
+  }
+
+  resize(w, h, dpr) {
+    this.width = w;
+    this.height = h;
+    this.canvas.width = Math.max(1, Math.round(w * dpr));
+    this.canvas.height = Math.max(1, Math.round(h * dpr));
+    this.gl.viewport(0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  begin() {
+    this._glowCount = 0;
+    this._discCount = 0;
+    this._lineVertCount = 0;
+    this._lineIndexCount = 0;
+  }
+
+  // WebGL clamps lineWidth to 1 on most platforms, so width is ignored
+  line(xy, count, h, s, l, a) {
+    if (count < 2 || this._lineVertCount + count > MAX_LINE_VERTS) return;
+    const [r, g, b] = hslToRgb(h, s, l, this._rgb);
+    const verts = this._lineVerts;
+    for (let i = 0; i < count; i++) {
+      const o = (this._lineVertCount + i) * LINE_FLOATS;
+      verts[o] = xy[i * 2];
+      verts[o + 1] = xy[i * 2 + 1];
+      verts[o + 2] = r;
+      verts[o + 3] = g;
+      verts[o + 4] = b;
+      verts[o + 5] = a;
+      this._lineIndices[this._lineIndexCount++] = this._lineVertCount + i;
+    }
+    this._lineIndices[this._lineIndexCount++] = RESTART_INDEX;
+    this._lineVertCount += count;
+  }
+
+  glow(x, y, radius, h, s, l, a, mid = 0.25) {
+    if (this._glowCount >= MAX_INSTANCES) return;
+    hslToRgb(h, s, l, this._rgb);
+    this._pushInstance(this._glows, this._glowCount++, x, y, radius, mid, a);
+  }
+
+  sprite(x, y, radius, a) {
+    if (this._glowCount >= MAX_INSTANCES) return;
+    this._rgb[0] = this._rgb[1] = this._rgb[2] = 1;
+    this._pushInstance(this._glows, this._glowCount++, x, y, radius, 0.3, a);
+  }
+
+  disc(x, y, radius, h, s, l, a) {
+    if (this._discCount >= MAX_INSTANCES) return;
+    hslToRgb(h, s, l, this._rgb);
+    this._pushInstance(this._discs, this._discCount++, x, y, radius, -1, a);
+  }
+
+  _pushInstance(batch, index, x, y, radius, mid, a) {
+    const o = index * INSTANCE_FLOATS;
+    batch[o] = x;
+    batch[o + 1] = y;
+    batch[o + 2] = radius;
+    batch[o + 3] = mid;
+    batch[o + 4] = this._rgb[0];
+    batch[o + 5] = this._rgb[1];
+    batch[o + 6] = this._rgb[2];
+    batch[o + 7] = a;
+  }
+
+  end() {
+    if (this.lost) return;
+    const gl = this.gl;
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    // Trails and streams — normal blending
+    if (this._lineIndexCount > 0) {
+      gl.useProgram(this._lineProgram);
+      gl.uniform2f(this._lineResolution, this.width, this.height);
+      gl.bindVertexArray(this._lineVao);
+      gl.bindBuffer(gl.ARRAY_BUFFER, this._lineBuffer);
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, this._lineVerts, 0, this._lineVertCount * LINE_FLOATS);
+      gl.bufferSubData(gl.ELEMENT_ARRAY_BUFFER, 0, this._lineIndices, 0, this._lineIndexCount);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+      gl.drawElements(gl.LINE_STRIP, this._lineIndexCount, gl.UNSIGNED_INT, 0);
+    }
+
+    gl.useProgram(this._pointProgram);
+    gl.uniform2f(this._pointResolution, this.width, this.height);
+    gl.bindVertexArray(this._pointVao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, this._instanceBuffer);
+
+    // Glows — additive
+    if (this._glowCount > 0) {
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, this._glows, 0, this._glowCount * INSTANCE_FLOATS);
+      gl.blendFunc(gl.ONE, gl.ONE);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, this._glowCount);
+    }
+
+    // Cores — normal blending on top
+    if (this._discCount > 0) {
+      gl.bufferSubData(gl.ARRAY_BUFFER, 0, this._discs, 0, this._discCount * INSTANCE_FLOATS);
+      gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+      gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, this._discCount);
+    }
+
+    gl.bindVertexArray(null);
+    this.ctx.drawImage(this.canvas, 0, 0, this.width, this.height);
+  }
+
+  destroy() {
+    this.gl.getExtension("WEBGL_lose_context")?.loseContext();
+  }
+}
+
+/*
+ * Pick a renderer: "webgl2", "2d" or "auto" (WebGL2 when available).
+ * Any failure creating the WebGL2 path falls back to Canvas 2D.
+ */
+export function createRenderer(ctx, createCanvas, preference = "auto") {
+  if (preference !== "2d") {
+    try {
+      return new WebGLRenderer(ctx, createCanvas);
+    } catch {
+      // fall through to 2D
+    }
+  }
+  return new Canvas2DRenderer(ctx, createCanvas);
+}
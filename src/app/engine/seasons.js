@@ -0,0 +1,68 @@
+/*
+ * Seasons and moon — pure functions of the date, no "use client" directive.
+ * seasonOf() gives the astronomical season and a warmth (-1 midwinter,
+ * +1 midsummer) for the visitor's hemisphere; moonPhase() gives the
+ * synodic phase (0 new, 0.5 full) and the lit fraction of the disc.
+ * Both come from low-precision sun and moon longitudes (after Meeus, as in
+ * solar.js): equinoxes and solstices to within an hour, the moon's
+ * quarters to within a few hours.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J2000 = Date.UTC(2000, 0, 1, 12); // 2000-01-01 12:00 UTC
+
+const SEASONS = ["spring", "summer", "autumn", "winter"]; // from the March equinox, north
+const OPPOSITE = { spring: "autumn", summer: "winter", autumn: "spring", winter: "summer" };
+
+function daysSinceJ2000(date) {
+  return (date.valueOf() - J2000) / DAY_MS;
+}
+
+/* Sun's apparent ecliptic longitude (of date) and mean anomaly, radians */
+function sunCoords(d) {
+  const L0 = 280.46646 + 0.98564736 * d; // mean longitude, precession included
+  const M = RAD * (357.5291 + 0.98560028 * d);
+  const center = 1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M);
+  return { longitude: RAD * (L0 + center - 0.00569), anomaly: M }; // less aberration
+}
+
+/* Moon's ecliptic longitude, radians — the largest periodic terms only */
+function moonLongitude(d, sun) {
+  const L = RAD * (218.316 + 13.176396 * d);  // mean longitude
+  const Mm = RAD * (134.963 + 13.064993 * d); // mean anomaly
+  const D = RAD * (297.850 + 12.190749 * d);  // mean elongation from the sun
+  return L + RAD * (6.289 * Math.sin(Mm)    // equation of centre
+    + 1.274 * Math.sin(2 * D - Mm)           // evection
+    + 0.658 * Math.sin(2 * D)                // variation
+    - 0.186 * Math.sin(sun.anomaly)          // annual equation
+    - 0.059 * Math.sin(2 * D - 2 * Mm)
+    - 0.057 * Math.sin(2 * D - sun.anomaly - Mm)
+    + 0.053 * Math.sin(2 * D + Mm));
+}
+
+function turns(angle) {
+  const t = angle / (2 * Math.PI);
+  return ((t % 1) + 1) % 1;
+}
+
+/* { name, warmth } — seasons flip south of the equator */
+export function seasonOf(date, latitude = 0) {
+  const longitude = sunCoords(daysSinceJ2000(date)).longitude;
+  let name = SEASONS[Math.floor(turns(longitude) * 4) % 4];
+  // Warmth peaks at the June solstice (longitude 90°) in the north
+  let warmth = Math.sin(longitude);
+  if (latitude < 0) {
+    name = OPPOSITE[name];
+    warmth = -warmth;
+  }
+  return { name, warmth };
+}
+
+/* { phase, illumination } — phase 0..1 through the synodic month, illumination 0..1 */
+export function moonPhase(date) {
+  const d = daysSinceJ2000(date);
+  const sun = sunCoords(d);
+  const phase = turns(moonLongitude(d, sun) - sun.longitude);
+  return { phase, illumination: (1 - Math.cos(2 * Math.PI * phase)) / 2 };
+}
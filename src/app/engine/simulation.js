@@ -0,0 +1,619 @@
+"use client";
+
+/*
+ * The simulation — owns the ParticlePool and the MemorySystem and steps
+ * them: physics (physics.js), births, text formation forces, layout morphs,
+ * orbital drift, dwell discovery, shockwaves and streams. It runs in
+ * simulation.worker.js when the environment provides a worker, else inline.
+ *
+ * The organism never touches particles. It queues commands through a
+ * SimulationDriver and draws from the render view each step sends back:
+ * particles packed into a Float32Array (transferred, not copied, from the
+ * worker) plus the memory nodes, shockwaves, streams and trails.
+ */
+
+import { ParticlePool, MAX_TRAIL } from "./particles.js";
+import { MemorySystem, MEMORIES } from "./memory.js";
+import { stepParticles } from "./physics.js";
+import { createRandom } from "./random.js";
+
+export const PARTICLE_CAPACITY = 500;
+
+/*
+ * Per-particle layout of the view's Float32Array: VIEW.fields values, then
+ * VIEW.trail (x, y) points, newest first. memory is the MEMORIES index, or -1.
+ * x and y are already snapped to the particle's text target when within 2px.
+ */
+export const VIEW = Object.freeze({
+  x: 0, y: 1, radius: 2, hue: 3, saturation: 4, lightness: 5,
+  opacity: 6, breathPhase: 7, memory: 8, trail: 9, fields: 10,
+});
+
+const VIEW_LENGTH = PARTICLE_CAPACITY * (VIEW.fields + MAX_TRAIL * 2);
+
+// Commands the driver may queue — each is a Simulation method
+const COMMANDS = new Set([
+  "spawn", "birth", "place", "resize", "restore", "reset", "discover",
+  "setLayout", "setTimeline", "complete", "pulse", "shockwave",
+  "formText", "startTextRelease", "releaseText", "push", "setMaxParticles",
+]);
+
+// Commands that shape lasting state — replayed if a worker dies and the simulation restarts inline
+const DURABLE = new Set([
+  "birth", "place", "resize", "restore", "reset", "discover",
+  "setLayout", "setTimeline", "complete", "setMaxParticles",
+]);
+
+const MEMORY_INDEX = new Map(MEMORIES.map((m, i) => [m.id, i]));
+
+/* A view with no particles yet, over a buffer big enough for a full pool */
+export function emptyView(particles = new Float32Array(VIEW_LENGTH)) {
+  return {
+    particles,
+    count: 0,
+    nodes: MEMORIES.map(() => null),
+    shockwaves: [],
+    flowStreams: [],
+    connectionTrails: [],
+    warmTarget: null,
+    hovered: null,
+    textTargets: 0,
+    discoveries: [],
+  };
+}
+
+export class Simulation {
+  constructor(seed, { width, height }) {
+    // Same per-subsystem streams the organism forked before the pool moved here
+    const rng = createRandom(seed);
+    this.random = rng.fork("simulation");
+    this.pool = new ParticlePool(PARTICLE_CAPACITY, rng.fork("particles"));
+    this.memory = new MemorySystem(rng.fork("memory"));
+    this.resize(width, height);
+
+    this.time = 0;
+    this.placed = false; // every memory born and anchored
+    this.completed = false;
+    this.birthReleases = []; // { particle, releaseAt } — birth targets let go after 2.5s
+    this.hovered = null;
+    this._discoveries = []; // { id, first } since the last view
+
+    // Text formation: particles pulled onto a label, then released
+    this.textTargets = [];
+    this.textActive = false;
+    this.textAge = 0;
+    this.textReleaseTimer = 0;
+
+    // Orbital drift after completion, and eased layout changes
+    this.orbitPhase = 0;
+    this._originalAnchors = new Map();
+    this._layoutMorph = null; // { from, to, t }
+    this.layoutMorphDuration = 1200;
+
+    this._xy = [0, 0];
+    this._anchorOf = (slot) => {
+      const node = this.memory.nodes.get(this.pool.memoryId[slot]);
+      return node?.discovered && node.anchorX !== null ? node : null;
+    };
+  }
+
+  /* Run queued [name, ...args] commands in order */
+  apply(commands) {
+    for (const [name, ...args] of commands) {
+      if (COMMANDS.has(name)) this[name](...args);
+    }
+  }
+
+  // ── Commands ──
+
+  spawn(x, y, opts) {
+    this.pool.add(x, y, opts);
+  }
+
+  /* Birth a memory's particle at the center, flying out to its constellation position */
+  birth(id, opts) {
+    const node = this.memory.nodes.get(id);
+    if (!node || node.particle) return;
+    this.memory.computeConstellationLayout(this.cx, this.cy, this.width * 0.42, this.height * 0.40);
+    const targetX = node.anchorX || this.cx;
+    const targetY = node.anchorY || this.cy;
+    const p = this.pool.add(this.cx, this.cy, {
+      ...opts,
+      generation: 0,
+      mass: 3,
+      maxTrail: 3,
+      vx: (targetX - this.cx) * 0.012,
+      vy: (targetY - this.cy) * 0.012,
+    });
+    if (!p) return;
+    this.memory.assignParticle(id, p);
+    p.targetX = targetX;
+    p.targetY = targetY;
+    p.targetForce = 0.008;
+    this.birthReleases.push({ particle: p, releaseAt: this.time + 2500 });
+  }
+
+  /* All memories are born — anchor them to the full-screen layout */
+  place() {
+    this.placed = true;
+    this._layoutAnchors();
+  }
+
+  resize(width, height) {
+    this.width = width;
+    this.height = height;
+    this.cx = width / 2;
+    this.cy = height / 2;
+    if (this.placed) this._layoutAnchors();
+  }
+
+  restore(ids) {
+    this.memory.restore(ids);
+  }
+
+  /* Forget every discovery */
+  reset() {
+    this.memory.reset();
+    this.completed = false;
+    this._originalAnchors.clear();
+    this.orbitPhase = 0;
+    if (this.placed) this._layoutAnchors();
+  }
+
+  discover(id) {
+    this.memory.discover(id);
+    this._layoutAnchors();
+  }
+
+  setLayout(name) {
+    if (this.memory.setLayout(name) && this.placed) this._morphAnchors();
+  }
+
+  setTimeline(on) {
+    this.memory.timeline = on;
+    if (this.placed) this._morphAnchors();
+  }
+
+  /* Every memory is discovered — work nodes start orbiting from where they are */
+  complete() {
+    this.completed = true;
+    this._snapshotAnchors();
+  }
+
+  pulse(id) {
+    this.memory.pulseConnected(id);
+  }
+
+  /* Shockwave from a discovered node's particle, in its hue */
+  shockwave(id, { maxRadius, speed, alpha }) {
+    const node = this.memory.nodes.get(id);
+    if (!node?.discovered || !node.particle) return;
+    const p = node.particle;
+    this.memory.shockwaves.push({ x: p.x, y: p.y, radius: 0, maxRadius, speed, alpha, hue: p.hue });
+  }
+
+  /*
+   * Pull free particles onto positions ([x0, y0, x1, y1, ...] on screen),
+   * nearest to center first, spawning short-lived ones in color when short.
+   */
+  formText(positions, center, force, color) {
+    const available = this.pool.particles
+      .filter(p => !p.isMemory && p.targetX === null)
+      .sort((a, b) => {
+        const da = (a.x - center.x) ** 2 + (a.y - center.y) ** 2;
+        const db = (b.x - center.x) ** 2 + (b.y - center.y) ** 2;
+        return da - db;
+      });
+
+    // B3: spawn temporary particles if not enough available
+    const needed = positions.length / 2;
+    const deficit = needed - available.length;
+    if (deficit > 0) {
+      const toSpawn = Math.min(deficit, 150);
+      for (let i = 0; i < toSpawn; i++) {
+        const angle = this.random() * Math.PI * 2;
+        const dist = 50 + this.random() * 150;
+        const p = this.pool.add(center.x + Math.cos(angle) * dist, center.y + Math.sin(angle) * dist, {
+          generation: 1,
+          radius: 0.8 + this.random() * 0.8,
+          hue: color.h,
+          saturation: color.s,
+          lightness: color.l + 10,
+          alpha: 0.5,
+          decay: 0.015, // auto-decay after release
+          maxTrail: 2,
+          vx: 0,
+          vy: 0,
+        });
+        if (p) available.push(p);
+      }
+    }
+
+    this.textActive = true;
+    this.textTargets = [];
+    this.textReleaseTimer = 0;
+    this.textAge = 0;
+
+    const usable = Math.min(available.length, needed);
+    for (let i = 0; i < usable; i++) {
+      const p = available[i];
+      p.targetX = positions[i * 2];
+      p.targetY = positions[i * 2 + 1];
+      p.targetForce = force;
+      this.textTargets.push(p);
+    }
+  }
+
+  /* Ease the text's pull to nothing over 500ms */
+  startTextRelease() {
+    if (!this.textActive) return;
+    this.textActive = false;
+    this.textReleaseTimer = 500;
+  }
+
+  releaseText() {
+    this.textReleaseTimer = 0;
+    this.textActive = false;
+    for (const p of this.textTargets) {
+      p.targetX = null;
+      p.targetY = null;
+      p.targetForce = 0;
+    }
+    this.textTargets = [];
+  }
+
+  /* Swipe scatter — free particles get the swipe's velocity, jittered */
+  push(vx, vy) {
+    for (const p of this.pool.particles) {
+      if (!p.isMemory) p.addForce(vx * (0.5 + this.random() * 0.5), vy * (0.5 + this.random() * 0.5));
+    }
+  }
+
+  setMaxParticles(max) {
+    this.pool.max = max;
+  }
+
+  // ── Step ──
+
+  /*
+   * Advance by params.dt milliseconds.
+   * params: stepParticles' params, plus isTouch, streamSpeed and
+   * dwell (check the cursor for dwell discovery).
+   */
+  step(params) {
+    const dt = params.dt;
+    this.time += dt;
+    this.memory.isTouch = params.isTouch;
+    this.memory.streamSpeed = params.streamSpeed;
+
+    // Birth targets let go
+    for (let i = this.birthReleases.length - 1; i >= 0; i--) {
+      const entry = this.birthReleases[i];
+      if (this.time >= entry.releaseAt) {
+        entry.particle.targetX = null;
+        entry.particle.targetY = null;
+        entry.particle.targetForce = 0;
+        this.birthReleases.splice(i, 1);
+      }
+    }
+
+    if (this._layoutMorph) this._updateLayoutMorph(dt);
+    if (this.completed) this._updateOrbit(dt);
+
+    stepParticles(this.pool, { ...params, shockwaves: this.memory.shockwaves }, this._anchorOf);
+
+    // Remove dead particles
+    const particles = this.pool.particles;
+    let removed = 0;
+    for (let i = particles.length - 1; i >= 0; i--) {
+      if (particles[i].life <= 0) {
+        this.pool.remove(particles[i]);
+        removed++;
+      }
+    }
+    // The pool reuses handles, so let go of dead ones before their slots respawn
+    if (removed > 0) {
+      this.textTargets = this.textTargets.filter(p => p.alive);
+      this.birthReleases = this.birthReleases.filter(entry => entry.particle.alive);
+    }
+
+    // Dwell discovery
+    this.hovered = null;
+    if (params.dwell && params.cursor) {
+      const before = this.memory.discovered.size;
+      this.hovered = this.memory.checkDwell(params.cursor.x, params.cursor.y, dt);
+      if (this.memory.discovered.size > before) this._onDiscovered(this.memory.activeNode);
+    }
+
+    this.memory.update(dt);
+    this._updateTextForces(dt);
+  }
+
+  _onDiscovered(id) {
+    // D2: amplified shockwave for the first discovery — replaces the one discover() pushed
+    const first = this.memory.discovered.size === 1;
+    if (first && this.memory.shockwaves.length > 0) {
+      const last = this.memory.shockwaves[this.memory.shockwaves.length - 1];
+      last.maxRadius = 600;
+      last.speed = 400;
+      last.alpha = 1.0;
+    }
+    this._layoutAnchors();
+    this._discoveries.push({ id, first });
+  }
+
+  _updateTextForces(dt) {
+    if (this.textActive) {
+      this.textAge += dt;
+      // Progressive force ramp: 0.03 → 0.06 over 500ms for crisp convergence
+      const rampT = Math.min(1, this.textAge / 500);
+      const baseForce = 0.03 + rampT * 0.03;
+      for (const p of this.textTargets) {
+        // Extra damping when close to target — reduces wobble
+        const dx = (p.targetX ?? 0) - p.x;
+        const dy = (p.targetY ?? 0) - p.y;
+        const dist = Math.sqrt(dx * dx + dy * dy);
+        p.targetForce = dist < 5 ? baseForce * 1.5 : baseForce;
+      }
+    }
+
+    if (this.textReleaseTimer > 0) {
+      this.textReleaseTimer -= dt;
+      const releasePct = Math.max(0, this.textReleaseTimer / 500);
+      for (const p of this.textTargets) {
+        p.targetForce = 0.03 * releasePct;
+      }
+      if (this.textReleaseTimer <= 0) this.releaseText();
+    }
+  }
+
+  // ── Anchors ──
+
+  _layoutAnchors() {
+    this.memory.computeAnchors(this.cx, this.cy, this.width * 0.42, this.height * 0.40);
+  }
+
+  // Recompute anchors for the active layout and ease toward them
+  _morphAnchors() {
+    const from = new Map();
+    for (const [id, node] of this.memory.nodes) {
+      if (node.anchorX !== null) from.set(id, { x: node.anchorX, y: node.anchorY });
+    }
+    this._layoutAnchors();
+    const to = new Map();
+    for (const [id, node] of this.memory.nodes) {
+      if (node.anchorX === null) continue;
+      to.set(id, { x: node.anchorX, y: node.anchorY });
+      const start = from.get(id);
+      if (start) {
+        node.anchorX = start.x;
+        node.anchorY = start.y;
+      }
+    }
+    this._layoutMorph = { from, to, t: 0 };
+  }
+
+  _updateLayoutMorph(dt) {
+    const morph = this._layoutMorph;
+    morph.t = Math.min(1, morph.t + dt / this.layoutMorphDuration);
+    const e = morph.t < 0.5 ? 2 * morph.t * morph.t : 1 - (-2 * morph.t + 2) ** 2 / 2; // easeInOutQuad
+    for (const [id, target] of morph.to) {
+      const node = this.memory.nodes.get(id);
+      const start = morph.from.get(id) ?? target;
+      node.anchorX = start.x + (target.x - start.x) * e;
+      node.anchorY = start.y + (target.y - start.y) * e;
+    }
+    if (morph.t >= 1) {
+      this._layoutMorph = null;
+      // Orbital drift resumes from the new constellation positions
+      if (this.completed && !this.memory.timeline) this._snapshotAnchors();
+    }
+  }
+
+  // Orbital drift — slow constant-velocity orbit of work nodes around root
+  // (held still in timeline mode and while a layout morph owns the anchors)
+  _updateOrbit(dt) {
+    if (this.memory.timeline || this._layoutMorph) return;
+    this.orbitPhase += dt * 0.00003;
+    for (const [id, node] of this.memory.nodes) {
+      if (node.type !== "work" || !node.particle || !node.discovered) continue;
+      const orig = this._originalAnchors.get(id);
+      if (!orig) continue;
+      const angle = orig.angle + this.orbitPhase;
+      node.anchorX = this.cx + Math.cos(angle) * orig.dist;
+      node.anchorY = this.cy + Math.sin(angle) * orig.dist;
+    }
+  }
+
+  // Snapshot original anchor positions for orbital drift
+  _snapshotAnchors() {
+    this._originalAnchors.clear();
+    this.orbitPhase = 0;
+    for (const [id, node] of this.memory.nodes) {
+      if (node.anchorX !== null) {
+        const dx = node.anchorX - this.cx;
+        const dy = node.anchorY - this.cy;
+        this._originalAnchors.set(id, {
+          dist: Math.sqrt(dx * dx + dy * dy) || 1,
+          angle: Math.atan2(dy, dx),
+        });
+      }
+    }
+  }
+
+  // ── Render view ──
+
+  /* Screen position of a slot — snapped to its text target when within 2px, so letters read crisply */
+  _position(s) {
+    const pool = this.pool;
+    const x = pool.x[s];
+    const y = pool.y[s];
+    const tx = pool.targetX[s];
+    const ty = pool.targetY[s];
+    if (!Number.isNaN(tx) && pool.targetForce[s] > 0 && (tx - x) ** 2 + (ty - y) ** 2 < 4) {
+      this._xy[0] = tx;
+      this._xy[1] = ty;
+    } else {
+      this._xy[0] = x;
+      this._xy[1] = y;
+    }
+    return this._xy;
+  }
+
+  /* Pack what the organism draws into buffer (VIEW layout); takes the discoveries since the last view */
+  view(buffer) {
+    const pool = this.pool;
+    const particles = pool.particles;
+    let o = 0;
+    for (let i = 0; i < particles.length; i++) {
+      const p = particles[i];
+      const s = p.slot;
+      const [x, y] = this._position(s);
+      buffer[o + VIEW.x] = x;
+      buffer[o + VIEW.y] = y;
+      buffer[o + VIEW.radius] = pool.radius[s];
+      buffer[o + VIEW.hue] = pool.hue[s];
+      buffer[o + VIEW.saturation] = pool.saturation[s];
+      buffer[o + VIEW.lightness] = pool.lightness[s];
+      buffer[o + VIEW.opacity] = pool.alpha[s] * pool.life[s];
+      buffer[o + VIEW.breathPhase] = pool.breathPhase[s];
+      buffer[o + VIEW.memory] = pool.isMemory[s] ? MEMORY_INDEX.get(pool.memoryId[s]) ?? -1 : -1;
+      const trail = p.trailLength;
+      buffer[o + VIEW.trail] = trail;
+      o += VIEW.fields;
+      for (let t = 0; t < trail; t++) {
+        buffer[o++] = p.trailX(t);
+        buffer[o++] = p.trailY(t);
+      }
+    }
+
+    const nodes = MEMORIES.map((m) => {
+      const node = this.memory.nodes.get(m.id);
+      const p = node.particle;
+      if (!p?.alive) return null;
+      const [x, y] = this._position(p.slot);
+      return {
+        x,
+        y,
+        radius: p.radius,
+        hue: p.hue,
+        saturation: p.saturation,
+        lightness: p.lightness,
+        breathPhase: p.breathPhase,
+        pulsePhase: node.pulsePhase,
+        flickerPhase: node.flickerPhase,
+        approachGlow: node.approachGlow,
+        resonancePulse: node.resonancePulse,
+      };
+    });
+
+    const discoveries = this._discoveries;
+    this._discoveries = [];
+    return {
+      particles: buffer,
+      count: particles.length,
+      nodes,
+      shockwaves: this.memory.shockwaves.map(sw => ({ x: sw.x, y: sw.y, radius: sw.radius, alpha: sw.alpha, hue: sw.hue })),
+      flowStreams: this.memory.flowStreams.map(st => ({ from: st.from, to: st.to, t: st.particles.map(fp => fp.t) })),
+      connectionTrails: this.memory.connectionTrails.map(tr => ({ from: tr.from, to: tr.to, progress: tr.age / tr.maxAge })),
+      warmTarget: this.memory.warmTarget,
+      hovered: this.hovered,
+      textTargets: this.textTargets.length,
+      discoveries,
+    };
+  }
+}
+
+/*
+ * The organism's handle on the simulation. Commands queue up and go with
+ * the next step. With a worker, step() takes the latest view if one has
+ * arrived and posts the next step with a spare buffer; while the worker is
+ * busy the frame is skipped, never blocked on, and its time carries over to
+ * the next step so lifetimes don't stretch. Without one it steps inline.
+ */
+export class SimulationDriver {
+  constructor(seed, viewport, createWorker = null) {
+    this._seed = seed;
+    this._viewport = viewport;
+    this._commands = [];
+    this._sent = []; // durable commands the worker has been sent, for an inline restart
+    this._dt = 0; // time from frames skipped while the worker was busy
+    this._busy = false;
+    this._result = null;
+    this._worker = null;
+    this._simulation = null;
+    this.view = emptyView();
+
+    if (createWorker) {
+      try {
+        this._worker = createWorker();
+        this._worker.onmessage = (e) => { this._result = e.data; };
+        this._worker.onerror = () => this._fallBackInline();
+        this._worker.postMessage({ init: { seed, viewport } });
+        this._spare = new Float32Array(VIEW_LENGTH);
+      } catch {
+        this._worker = null;
+      }
+    }
+    if (!this._worker) this._simulation = new Simulation(seed, viewport);
+  }
+
+  get threaded() {
+    return this._worker !== null;
+  }
+
+  /* Queue a command (a Simulation method name and its arguments) for the next step */
+  send(name, ...args) {
+    this._commands.push([name, ...args]);
+    if (name === "resize") this._viewport = { width: args[0], height: args[1] };
+  }
+
+  /* Advance the simulation; returns the discoveries in the view that arrived, if any */
+  step(params) {
+    if (!this._worker) {
+      this._simulation.apply(this._commands);
+      this._commands = [];
+      this._simulation.step(params);
+      this.view = this._simulation.view(this.view.particles);
+      return this.view.discoveries;
+    }
+
+    this._dt += params.dt;
+    let discoveries = [];
+    if (this._busy) {
+      if (!this._result) return discoveries; // still busy — keep the time and commands for the next step
+      this._spare = this.view.particles;
+      this.view = this._result;
+      this._result = null;
+      this._busy = false;
+      discoveries = this.view.discoveries;
+    }
+
+    const buffer = this._spare;
+    this._spare = null;
+    for (const command of this._commands) {
+      if (DURABLE.has(command[0])) this._sent.push(command);
+    }
+    this._worker.postMessage({ commands: this._commands, params: { ...params, dt: this._dt }, buffer }, [buffer.buffer]);
+    this._commands = [];
+    this._dt = 0;
+    this._busy = true;
+    return discoveries;
+  }
+
+  /* The worker failed — rebuild the lasting state inline from what it was sent */
+  _fallBackInline() {
+    this._worker?.terminate();
+    this._worker = null;
+    this._result = null;
+    this._busy = false;
+    this._simulation = new Simulation(this._seed, this._viewport);
+    this._simulation.apply(this._sent);
+    this._sent = [];
+  }
+
+  destroy() {
+    this._worker?.terminate();
+    this._worker = null;
+  }
+}
@@ -0,0 +1,22 @@
+/*
+ * Simulation worker — owns the Simulation (particle pool and memory system).
+ * Each message carries queued commands, step params and an empty view
+ * buffer; the filled buffer goes back transferred, so no copies cross the
+ * thread boundary.
+ */
+
+import { Simulation } from "./simulation.js";
+
+let simulation = null;
+
+self.onmessage = (e) => {
+  if (e.data.init) {
+    simulation = new Simulation(e.data.init.seed, e.data.init.viewport);
+    return;
+  }
+  const { commands, params, buffer } = e.data;
+  simulation.apply(commands);
+  simulation.step(params);
+  const view = simulation.view(buffer);
+  self.postMessage(view, [view.particles.buffer]);
+};
@@ -0,0 +1,132 @@
+/*
+ * Solar events — pure functions, no "use client" directive.
+ * Sunrise equation after NOAA / Meeus (as used by SunCalc), good to a few
+ * minutes at non-polar latitudes: civil dawn and dusk (sun 6° below the
+ * horizon), sunrise and sunset (upper limb at the horizon) and solar noon.
+ */
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+const J1970 = 2440588;
+const J2000 = 2451545;
+const J0 = 0.0009;
+const OBLIQUITY = 23.4397 * RAD;
+
+export const SUNRISE_ALTITUDE = -0.833; // degrees: refraction + solar radius
+export const CIVIL_ALTITUDE = -6;
+
+function toDays(date) {
+  return date.valueOf() / DAY_MS - 0.5 + J1970 - J2000;
+}
+
+function fromJulian(j) {
+  return new Date((j + 0.5 - J1970) * DAY_MS);
+}
+
+function solarMeanAnomaly(d) {
+  return RAD * (357.5291 + 0.98560028 * d);
+}
+
+function eclipticLongitude(M) {
+  const center = RAD * (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const perihelion = RAD * 102.9372;
+  return M + center + perihelion + Math.PI;
+}
+
+function transitJulian(ds, M, L) {
+  return J2000 + ds + 0.0053 * Math.sin(M) - 0.0069 * Math.sin(2 * L);
+}
+
+/*
+ * Solar events for the day containing `date` at { latitude, longitude }
+ * (degrees, east positive). Returns Dates { dawn, sunrise, noon, sunset, dusk };
+ * an event the sun never reaches that day (polar day or night) is null, and
+ * noonAltitude / midnightAltitude (degrees) tell which side it stayed on.
+ */
+export function solarEvents(date, { latitude, longitude }) {
+  const lw = -longitude * RAD;
+  const phi = latitude * RAD;
+  const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI));
+  const ds = J0 + lw / (2 * Math.PI) + n;
+  const M = solarMeanAnomaly(ds);
+  const L = eclipticLongitude(M);
+  const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const noon = transitJulian(ds, M, L);
+
+  // Hour angle at which the sun crosses `altitude`, as rise/set times around noon
+  const crossing = (altitude) => {
+    const cosW = (Math.sin(altitude * RAD) - Math.sin(phi) * Math.sin(dec)) / (Math.cos(phi) * Math.cos(dec));
+    if (cosW < -1 || cosW > 1) return [null, null];
+    const w = Math.acos(cosW);
+    const set = transitJulian(J0 + (w + lw) / (2 * Math.PI) + n, M, L);
+    return [fromJulian(noon - (set - noon)), fromJulian(set)];
+  };
+
+  const [sunrise, sunset] = crossing(SUNRISE_ALTITUDE);
+  const [dawn, dusk] = crossing(CIVIL_ALTITUDE);
+  return {
+    dawn,
+    sunrise,
+    noon: fromJulian(noon),
+    sunset,
+    dusk,
+    noonAltitude: 90 - Math.abs(phi - dec) / RAD,
+    midnightAltitude: Math.abs(phi + dec) / RAD - 90,
+  };
+}
+
+/*
+ * Approximate location per IANA time zone — a default until the visitor
+ * opts into geolocation. Unlisted zones fall back to the zone's UTC offset
+ * for longitude and a mid-northern latitude.
+ */
+const TIME_ZONE_LOCATIONS = {
+  "Europe/Amsterdam": [52.37, 4.9],
+  "Europe/Berlin": [52.52, 13.4],
+  "Europe/Brussels": [50.85, 4.35],
+  "Europe/London": [51.51, -0.13],
+  "Europe/Dublin": [53.35, -6.26],
+  "Europe/Paris": [48.86, 2.35],
+  "Europe/Madrid": [40.42, -3.7],
+  "Europe/Lisbon": [38.72, -9.14],
+  "Europe/Rome": [41.9, 12.5],
+  "Europe/Zurich": [47.38, 8.54],
+  "Europe/Vienna": [48.21, 16.37],
+  "Europe/Copenhagen": [55.68, 12.57],
+  "Europe/Stockholm": [59.33, 18.07],
+  "Europe/Oslo": [59.91, 10.75],
+  "Europe/Helsinki": [60.17, 24.94],
+  "Europe/Warsaw": [52.23, 21.01],
+  "Europe/Prague": [50.08, 14.44],
+  "Europe/Athens": [37.98, 23.73],
+  "Europe/Istanbul": [41.01, 28.98],
+  "Europe/Moscow": [55.76, 37.62],
+  "America/New_York": [40.71, -74.01],
+  "America/Chicago": [41.88, -87.63],
+  "America/Denver": [39.74, -104.99],
+  "America/Los_Angeles": [34.05, -118.24],
+  "America/Toronto": [43.65, -79.38],
+  "America/Vancouver": [49.28, -123.12],
+  "America/Mexico_City": [19.43, -99.13],
+  "America/Sao_Paulo": [-23.55, -46.63],
+  "America/Buenos_Aires": [-34.6, -58.38],
+  "Asia/Tokyo": [35.68, 139.69],
+  "Asia/Shanghai": [31.23, 121.47],
+  "Asia/Singapore": [1.35, 103.82],
+  "Asia/Kolkata": [22.57, 88.36],
+  "Asia/Dubai": [25.2, 55.27],
+  "Australia/Sydney": [-33.87, 151.21],
+  "Australia/Melbourne": [-37.81, 144.96],
+  "Pacific/Auckland": [-36.85, 174.76],
+  "Africa/Johannesburg": [-26.2, 28.05],
+  "Africa/Cairo": [30.04, 31.24],
+};
+
+const FALLBACK_LATITUDE = 45;
+
+/* { latitude, longitude } for a time zone; offsetMinutes is minutes east of UTC */
+export function locationForTimeZone(timeZone, offsetMinutes = 0) {
+  const known = TIME_ZONE_LOCATIONS[timeZone];
+  if (known) return { latitude: known[0], longitude: known[1] };
+  return { latitude: FALLBACK_LATITUDE, longitude: Math.max(-180, Math.min(180, offsetMinutes / 4)) };
+}
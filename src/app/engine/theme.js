@@ -0,0 +1,31 @@
+"use client";
+
+/*
+ * Circadian theme — publishes the active profile as CSS custom properties on
+ * the document root, so labels, footer, hints and the text page follow the
+ * canvas palette. Channels rather than finished colors, so the stylesheet can
+ * add alpha: rgb(var(--void-rgb) / 0.6), hsl(var(--glow-hsl) / 0.3).
+ * Also keeps the browser's theme-color in step with the sky.
+ */
+
+function hslChannels({ h, s, l }) {
+  return `${Math.round(h)} ${Math.round(s)}% ${Math.round(l)}%`;
+}
+
+export function applyCircadianTheme(profile, doc = document) {
+  const root = doc.documentElement;
+  const [r, g, b] = profile.bg;
+  root.style.setProperty("--void-rgb", `${r} ${g} ${b}`);
+  root.style.setProperty("--glow-hsl", hslChannels(profile.primary));
+  root.style.setProperty("--secondary-hsl", hslChannels(profile.secondary));
+  root.style.setProperty("--accent-hsl", hslChannels(profile.accent));
+  root.dataset.phase = profile.name;
+
+  let meta = doc.querySelector('meta[name="theme-color"]');
+  if (!meta) {
+    meta = doc.createElement("meta");
+    meta.name = "theme-color";
+    doc.head.appendChild(meta);
+  }
+  meta.content = `rgb(${r}, ${g}, ${b})`;
+}
@@ -0,0 +1,170 @@
+/*
+ * Memory graph and palette validation — pure functions, no "use client"
+ * directive. Collects every problem in MEMORIES and PALETTES instead of
+ * stopping at the first, so one run of `npm run validate` reports
+ * everything to fix.
+ */
+
+import { MEMORIES, IDENTITY_ANGLES } from "./data.js";
+import { INSTRUMENTS } from "./instruments.js";
+import { MAX_DEGREE } from "./motif.js";
+import { PALETTES, DEFAULT_PALETTE, PHASE_NAMES, SCALES, MOODS, MAX_TRAIL_LENGTH } from "./palettes.js";
+
+const TYPES = ["root", "work", "identity"];
+
+/* A melody is scale degrees (0..MAX_DEGREE) or [degree, length] pairs */
+function checkMelody(melody) {
+  if (!Array.isArray(melody) || melody.length === 0) return false;
+  const isDegree = (d) => Number.isInteger(d) && d >= 0 && d <= MAX_DEGREE;
+  return melody.every((note) => (Array.isArray(note)
+    ? note.length === 2 && isDegree(note[0]) && Number.isInteger(note[1]) && note[1] > 0
+    : isDegree(note)));
+}
+
+function checkUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return parsed.protocol === "http:" || parsed.protocol === "https:";
+  } catch (e) {
+    return false;
+  }
+}
+
+/*
+ * Validate a memory list. Returns an array of human-readable problems (empty when valid).
+ * contentIds: ids with a content/memories/<id>.md file, checked for orphans.
+ */
+export function validateMemories(memories = MEMORIES, { identityAngles = IDENTITY_ANGLES, contentIds = [] } = {}) {
+  const problems = [];
+  const ids = new Set();
+
+  // Node shape and unique ids
+  for (const [i, m] of memories.entries()) {
+    const where = m?.id ? `"${m.id}"` : `entry ${i}`;
+    if (typeof m?.id !== "string" || m.id === "") {
+      problems.push(`${where}: missing id`);
+      continue;
+    }
+    if (ids.has(m.id)) problems.push(`${where}: duplicate id`);
+    ids.add(m.id);
+
+    if (typeof m.label !== "string" || m.label.trim() === "") problems.push(`${where}: missing label`);
+    if (!TYPES.includes(m.type)) problems.push(`${where}: unknown type "${m.type}" (expected ${TYPES.join(", ")})`);
+    if (!Array.isArray(m.connections)) problems.push(`${where}: connections must be an array`);
+    if (m.url !== undefined && !checkUrl(m.url)) problems.push(`${where}: malformed url "${m.url}"`);
+    if (m.instrument !== undefined && !Object.hasOwn(INSTRUMENTS, m.instrument)) {
+      problems.push(`${where}: unknown instrument "${m.instrument}" (expected ${Object.keys(INSTRUMENTS).join(", ")})`);
+    }
+    if (m.melody !== undefined && !checkMelody(m.melody)) {
+      problems.push(`${where}: melody must be scale degrees 0-${MAX_DEGREE} or [degree, length] pairs`);
+    }
+
+    // Layout data
+    if (m.type === "work" && !Number.isInteger(m.year)) problems.push(`${where}: work node has no year`);
+    if (m.type === "identity" && typeof identityAngles[m.id] !== "number") {
+      problems.push(`${where}: identity node has no entry in IDENTITY_ANGLES`);
+    }
+  }
+
+  // Edges
+  for (const m of memories) {
+    if (!Array.isArray(m?.connections)) continue;
+    for (const c of m.connections) {
+      if (c === m.id) problems.push(`"${m.id}": connects to itself`);
+      else if (!ids.has(c)) problems.push(`"${m.id}": dangling connection to "${c}"`);
+    }
+  }
+
+  // Exactly one root, and every node reachable from it along connections —
+  // in either direction, like CONNECTIONS in data.js
+  const roots = memories.filter(m => m?.type === "root");
+  if (roots.length !== 1 || roots[0].id !== "root") {
+    problems.push(`expected exactly one root node with id "root", found ${roots.length}`);
+  } else {
+    const neighbours = new Map([...ids].map(id => [id, new Set()]));
+    for (const m of memories) {
+      for (const c of Array.isArray(m?.connections) ? m.connections : []) {
+        if (!ids.has(m.id) || !ids.has(c)) continue;
+        neighbours.get(m.id).add(c);
+        neighbours.get(c).add(m.id);
+      }
+    }
+    const reached = new Set(["root"]);
+    const queue = ["root"];
+    while (queue.length > 0) {
+      for (const c of neighbours.get(queue.shift())) {
+        if (!reached.has(c)) {
+          reached.add(c);
+          queue.push(c);
+        }
+      }
+    }
+    for (const id of ids) {
+      if (!reached.has(id)) problems.push(`"${id}": unreachable from root`);
+    }
+  }
+
+  // Stale layout and content entries
+  for (const id of Object.keys(identityAngles)) {
+    if (!ids.has(id)) problems.push(`IDENTITY_ANGLES: "${id}" is not a memory id`);
+  }
+  for (const id of contentIds) {
+    if (!ids.has(id)) problems.push(`content/memories/${id}.md: "${id}" is not a memory id`);
+  }
+
+  return problems;
+}
+
+function isNumber(v, min, max) {
+  return typeof v === "number" && Number.isFinite(v) && v >= min && v <= max;
+}
+
+function checkColor(c) {
+  return isNumber(c?.h, 0, 360) && isNumber(c?.s, 0, 100) && isNumber(c?.l, 0, 100);
+}
+
+/* Problems in one palette phase, as "field: problem" strings */
+function checkPhase(phase) {
+  const problems = [];
+  if (!Array.isArray(phase.bg) || phase.bg.length !== 3 || !phase.bg.every(v => Number.isInteger(v) && v >= 0 && v <= 255)) {
+    problems.push("bg must be [r, g, b] integers 0-255");
+  }
+  for (const key of ["primary", "secondary", "accent"]) {
+    if (!checkColor(phase[key])) problems.push(`${key} must be { h: 0-360, s: 0-100, l: 0-100 }`);
+  }
+  for (const key of ["particleSpeed", "breathRate"]) {
+    if (!isNumber(phase[key], 0.01, 10)) problems.push(`${key} must be a number between 0.01 and 10`);
+  }
+  if (!isNumber(phase.glowIntensity, 0, 1)) problems.push("glowIntensity must be a number between 0 and 1");
+  if (!Number.isInteger(phase.trailLength) || phase.trailLength < 1 || phase.trailLength > MAX_TRAIL_LENGTH) {
+    problems.push(`trailLength must be an integer between 1 and ${MAX_TRAIL_LENGTH}`);
+  }
+  if (!MOODS.includes(phase.musicMood)) {
+    problems.push(`unknown musicMood "${phase.musicMood}" (expected ${MOODS.join(", ")})`);
+  }
+  if (!Object.hasOwn(SCALES, phase.scale ?? "")) {
+    problems.push(`unknown scale "${phase.scale}" (expected ${Object.keys(SCALES).join(", ")})`);
+  }
+  return problems;
+}
+
+/* Validate palettes (after defaults are filled in). Returns an array of human-readable problems. */
+export function validatePalettes(palettes = PALETTES) {
+  const problems = [];
+  if (!Object.hasOwn(palettes, DEFAULT_PALETTE)) problems.push(`missing the "${DEFAULT_PALETTE}" palette`);
+
+  for (const [id, palette] of Object.entries(palettes)) {
+    const where = `palette "${id}"`;
+    if (!/^[a-z0-9-]+$/.test(id)) problems.push(`${where}: id must be lowercase letters, digits and dashes`);
+    if (typeof palette.label !== "string" || palette.label.trim() === "") problems.push(`${where}: missing label`);
+    for (const name of Object.keys(palette.phases)) {
+      if (!PHASE_NAMES.includes(name)) {
+        problems.push(`${where}: unknown phase "${name}" (expected ${PHASE_NAMES.join(", ")})`);
+        continue;
+      }
+      for (const problem of checkPhase(palette.phases[name])) problems.push(`${where}, ${name}: ${problem}`);
+    }
+  }
+
+  return problems;
+}
@@ -31,6 +31,11 @@ export const metadata = {
   },
 };
 
+// Starting point for the browser chrome; the circadian theme updates it (engine/theme.js)
+export const viewport = {
+  themeColor: "#0a0a0f",
+};
+
 export default function RootLayout({ children }) {
   return (
     <html lang="en">
@@ -0,0 +1,91 @@
+import Link from "next/link";
+import { notFound } from "next/navigation";
+import ReactMarkdown from "react-markdown";
+import { MEMORIES, CONNECTIONS } from "../../engine/data.js";
+import { CircadianTheme } from "../../circadian-theme.jsx";
+
+export const dynamicParams = false;
+
+export function generateStaticParams() {
+  return MEMORIES.map((m) => ({ id: m.id }));
+}
+
+function findMemory(id) {
+  return MEMORIES.find((m) => m.id === id) || null;
+}
+
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  const memory = findMemory(id);
+  if (!memory) return {};
+  const description = memory.desc || `${memory.label} — part of Nikolai Onken's constellation`;
+  return {
+    title: memory.label,
+    description,
+    alternates: { canonical: `/memory/${memory.id}` },
+    openGraph: {
+      title: memory.label,
+      description,
+      url: `/memory/${memory.id}`,
+    },
+  };
+}
+
+export default async function MemoryPage({ params }) {
+  const { id } = await params;
+  const memory = findMemory(id);
+  if (!memory) notFound();
+
+  const connected = [...(CONNECTIONS.get(memory.id) ?? [])]
+    .map(findMemory)
+    .filter(Boolean);
+
+  return (
+    <div className="text-page memory-page">
+      <CircadianTheme />
+      <h1>{memory.label}</h1>
+      <p className="text-page__subtitle">
+        {memory.desc}
+        {memory.year && <span className="memory-page__year">{memory.year}</span>}
+      </p>
+
+      {memory.url && (
+        <a
+          className="text-item__url"
+          href={memory.url}
+          target="_blank"
+          rel="noopener noreferrer"
+        >
+          {memory.url.replace(/^https?:\/\//, "").replace(/\/$/, "")}
+        </a>
+      )}
+
+      {memory.body && (
+        <div className="text-item__body">
+          <ReactMarkdown>{memory.body}</ReactMarkdown>
+        </div>
+      )}
+
+      {connected.length > 0 && (
+        <>
+          <h2>Connected</h2>
+          <ul>
+            {connected.map((m) => (
+              <li key={m.id}>
+                <Link href={`/memory/${m.id}`} className="text-item__label">
+                  {m.label}
+                </Link>
+                {m.desc && <span className="text-item__desc"> — {m.desc}</span>}
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <nav className="memory-page__nav">
+        <a href={`/#${memory.id}`} className="text-page__back">&larr; open in organism</a>
+        <Link href="/text" className="text-page__back">[text]</Link>
+      </nav>
+    </div>
+  );
+}
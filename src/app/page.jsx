@@ -2,13 +2,36 @@
 
 import { useEffect, useRef, useState, useCallback } from "react";
 import Link from "next/link";
+import ReactMarkdown from "react-markdown";
 import { Organism } from "./engine/organism.js";
 import { MEMORIES } from "./engine/data.js";
+import { formatTimeOfDay } from "./engine/clock.js";
+import { PALETTES } from "./engine/palettes.js";
+
+const MIXER_CHANNELS = [
+  { key: "master", label: "volume" },
+  { key: "drones", label: "drones" },
+  { key: "texture", label: "texture" },
+  { key: "plucks", label: "plucks" },
+  { key: "reverb", label: "reverb" },
+];
+
+const PALETTE_OPTIONS = Object.entries(PALETTES).map(([id, palette]) => ({ id, label: palette.label }));
+
+/* What the time scrubber shows: the organism's clock and the phase it lands in */
+function skyTimeOf(org) {
+  return { hours: org.timeOfDay, phase: org.profile.name, overridden: org.timeOverridden };
+}
 
 export default function Home() {
   const canvasRef = useRef(null);
   const organismRef = useRef(null);
   const [audioOn, setAudioOn] = useState(false);
+  const [audioUsed, setAudioUsed] = useState(false);
+  const [exportingAudio, setExportingAudio] = useState(false);
+  const [audioExportFailed, setAudioExportFailed] = useState(false);
+  const [mixerOpen, setMixerOpen] = useState(false);
+  const [mix, setMix] = useState(null);
   const [introComplete, setIntroComplete] = useState(false);
   const [discoveredLinks, setDiscoveredLinks] = useState([]);
   const [discoveredLabels, setDiscoveredLabels] = useState([]);
@@ -19,7 +42,17 @@ export default function Home() {
   const [constellationComplete, setConstellationComplete] = useState(false);
   const [showCompleteMsg, setShowCompleteMsg] = useState(false);
   const [showCircadianHint, setShowCircadianHint] = useState(false);
+  const [openMemoryId, setOpenMemoryId] = useState(null);
+  const [timelineOn, setTimelineOn] = useState(false);
+  const [layout, setLayout] = useState(null);
+  const [skyLocated, setSkyLocated] = useState(true);
+  const [timeScrubberOpen, setTimeScrubberOpen] = useState(false);
+  const [skyTime, setSkyTime] = useState(null);
+  const [paletteId, setPaletteId] = useState(null);
   const audioToggleRef = useRef(null);
+  const mixerToggleRef = useRef(null);
+  const mixerRef = useRef(null);
+  const cancelAudioResumeRef = useRef(null);
   const hintDismissedRef = useRef(false);
   const secondHintShownRef = useRef(false);
 
@@ -30,8 +63,38 @@ export default function Home() {
     const org = new Organism(canvas);
     organismRef.current = org;
     org.start();
+    setMix(org.mix);
+    setSkyLocated(org.hasSkyLocation);
+    setPaletteId(org.paletteId);
+    setLayout(org.layout);
+    // Arriving with ?time=HH:MM — show the scrubber so the preview can be moved or undone
+    if (org.timeOverridden) {
+      setSkyTime(skyTimeOf(org));
+      setTimeScrubberOpen(true);
+    }
     const completeTimers = [];
 
+    // Sound was on last visit — resume it on the first gesture (autoplay policy).
+    // Presses on the audio controls are left to their own handlers.
+    if (org.audioPreferred) {
+      const resumeAudio = (e) => {
+        if (e.target instanceof Element && e.target.closest(".audio-toggle-wrap")) return;
+        cancelAudioResume();
+        if (org.audioEnabled) return;
+        org.enableAudio();
+        setAudioOn(true);
+        setAudioUsed(true);
+      };
+      const cancelAudioResume = () => {
+        window.removeEventListener("pointerdown", resumeAudio, true);
+        window.removeEventListener("keydown", resumeAudio, true);
+        cancelAudioResumeRef.current = null;
+      };
+      window.addEventListener("pointerdown", resumeAudio, true);
+      window.addEventListener("keydown", resumeAudio, true);
+      cancelAudioResumeRef.current = cancelAudioResume;
+    }
+
     // Intro complete callback — show UI elements
     org.onIntroComplete(() => {
       setIntroComplete(true);
@@ -72,9 +135,10 @@ export default function Home() {
       }
     });
 
-    // C1: Constellation complete callback
-    org.onConstellationComplete(() => {
+    // C1: Constellation complete callback — restored completions skip the celebration
+    org.onConstellationComplete(({ restored }) => {
       setConstellationComplete(true);
+      if (restored) return;
       setShowCompleteMsg(true);
       const t1 = setTimeout(() => setShowCompleteMsg(false), 5000);
       // C2: Show circadian hint after completion celebration
@@ -86,6 +150,14 @@ export default function Home() {
       completeTimers.push(t1, t2);
     });
 
+    // Enter on a discovered node with long-form content
+    org.onOpenMemory((id) => setOpenMemoryId(id));
+
+    // T key toggles timeline mode inside the organism
+    org.onTimelineChange((on) => setTimelineOn(on));
+    // L key cycles the constellation layout
+    org.onLayoutChange((name) => setLayout(name));
+
     // Throttled position sync
     let lastPositionSnapshot = "";
     const syncInterval = setInterval(() => {
@@ -104,6 +176,7 @@ export default function Home() {
       clearTimeout(secondHintTimer);
       completeTimers.forEach(clearTimeout);
       clearInterval(syncInterval);
+      cancelAudioResumeRef.current?.();
       org.destroy();
       organismRef.current = null;
     };
@@ -118,28 +191,147 @@ export default function Home() {
     const y = e.clientY - rect.top;
     const nearest = org.findNearestNode(x, y, 50);
     if (nearest) {
-      const node = org.memory.nodes.get(nearest);
-      if (node?.discovered && node?.url) {
+      const node = MEMORIES.find(m => m.id === nearest); // findNearestNode only returns discovered memories
+      if (node?.body) {
+        e.stopPropagation();
+        org.revisitNode(nearest);
+        setOpenMemoryId(nearest);
+      } else if (node?.url) {
         e.stopPropagation();
         window.open(node.url, "_blank", "noopener,noreferrer");
-      } else if (node?.discovered) {
+      } else {
         e.stopPropagation();
         org.revisitNode(nearest);
       }
     }
   }, []);
 
+  // Memory panel — closes on Escape
+  const closeMemoryPanel = useCallback(() => setOpenMemoryId(null), []);
+
+  useEffect(() => {
+    if (!openMemoryId) return;
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setOpenMemoryId(null);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [openMemoryId]);
+
+  const openMemory = openMemoryId ? MEMORIES.find((m) => m.id === openMemoryId) : null;
+
+  // Forget me — clear saved discovery progress
+  const forgetProgress = useCallback(() => {
+    if (!organismRef.current) return;
+    organismRef.current.forgetProgress();
+    setConstellationComplete(false);
+    setShowCompleteMsg(false);
+  }, []);
+
+  const toggleTimeline = useCallback(() => {
+    if (!organismRef.current) return;
+    setTimelineOn(organismRef.current.toggleTimeline());
+  }, []);
+
+  const cycleLayout = useCallback(() => {
+    if (!organismRef.current) return;
+    setLayout(organismRef.current.cycleLayout());
+  }, []);
+
+  // Opt-in geolocation — sunrise and sunset for where the visitor actually is
+  const locateSky = useCallback(async () => {
+    if (!organismRef.current) return;
+    setSkyLocated(await organismRef.current.locateSky());
+  }, []);
+
+  // Time-travel preview — sweep the circadian phases without waiting for the clock
+  const toggleTimeScrubber = useCallback(() => {
+    if (!organismRef.current) return;
+    setSkyTime(skyTimeOf(organismRef.current));
+    setTimeScrubberOpen((open) => !open);
+  }, []);
+
+  const scrubTime = useCallback((hours) => {
+    const org = organismRef.current;
+    if (!org) return;
+    org.setTimeOfDay(hours);
+    setSkyTime(skyTimeOf(org));
+  }, []);
+
+  const changePalette = useCallback((id) => {
+    const org = organismRef.current;
+    if (!org) return;
+    org.setPalette(id);
+    setPaletteId(org.paletteId);
+  }, []);
+
   const toggleAudio = useCallback(() => {
     if (!organismRef.current) return;
+    cancelAudioResumeRef.current?.();
     if (!organismRef.current.audioEnabled) {
       organismRef.current.enableAudio();
       setAudioOn(true);
+      setAudioUsed(true);
     } else {
       const on = organismRef.current.toggleAudio();
       setAudioOn(on);
     }
   }, []);
 
+  // Mixer popover — closes on Escape or a press outside, handing focus back to its button
+  const closeMixer = useCallback(({ restoreFocus = true } = {}) => {
+    setMixerOpen(false);
+    if (restoreFocus) mixerToggleRef.current?.focus();
+  }, []);
+
+  const changeMix = useCallback((key, value) => {
+    const org = organismRef.current;
+    if (!org) return;
+    org.setMix({ [key]: value });
+    setMix(org.mix);
+  }, []);
+
+  useEffect(() => {
+    if (!mixerOpen) return;
+    mixerRef.current?.querySelector("input")?.focus();
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") closeMixer();
+    };
+    const onPointerDown = (e) => {
+      if (mixerRef.current?.contains(e.target) || mixerToggleRef.current?.contains(e.target)) return;
+      closeMixer({ restoreFocus: false });
+    };
+    window.addEventListener("keydown", onKeyDown);
+    window.addEventListener("pointerdown", onPointerDown);
+    return () => {
+      window.removeEventListener("keydown", onKeyDown);
+      window.removeEventListener("pointerdown", onPointerDown);
+    };
+  }, [mixerOpen, closeMixer]);
+
+  // Offline re-render of the session's music, downloaded as a WAV
+  const exportAudio = useCallback(async () => {
+    const org = organismRef.current;
+    if (!org?.canExportAudio) return;
+    setExportingAudio(true);
+    setAudioExportFailed(false);
+    try {
+      const blob = await org.exportAudio();
+      if (!blob) return;
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `constellation-${org.seed}.wav`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch {
+      // Offline rendering unsupported or out of memory — say so on the button
+      setAudioExportFailed(true);
+    } finally {
+      setExportingAudio(false);
+    }
+  }, []);
+
   return (
     <>
       {/* The canvas — the living constellation */}
@@ -147,7 +339,7 @@ export default function Home() {
         ref={canvasRef}
         className="organism-canvas"
         onClick={handleCanvasClick}
-        aria-label="Interactive particle constellation — move cursor to explore, dwell near bright particles to discover content. Use arrow keys to navigate between nodes, Enter to reveal. After all nodes discovered, press Space for a guided tour."
+        aria-label="Interactive particle constellation — move cursor to explore, dwell near bright particles to discover content. Use arrow keys to navigate between nodes, Enter to reveal. Press L to switch between spiral and force-directed layouts, T for a timeline by year. After all nodes discovered, press Space for a guided tour."
       />
 
       {/* DOM labels for discovered memories (crisp text over canvas) */}
@@ -198,6 +390,38 @@ export default function Home() {
         ))}
       </div>
 
+      {/* Long-form content panel for a clicked memory */}
+      {openMemory && (
+        <aside className="memory-panel" role="dialog" aria-label={openMemory.label}>
+          <button
+            type="button"
+            className="memory-panel__close"
+            onClick={closeMemoryPanel}
+            aria-label="Close"
+          >
+            &times;
+          </button>
+          <h2 className="memory-panel__title">{openMemory.label}</h2>
+          {(openMemory.desc || openMemory.year) && (
+            <p className="memory-panel__desc">
+              {openMemory.desc}
+              {openMemory.year && <span className="memory-panel__year">{openMemory.year}</span>}
+            </p>
+          )}
+          <div className="memory-panel__body">
+            <ReactMarkdown>{openMemory.body}</ReactMarkdown>
+          </div>
+          <div className="memory-panel__links">
+            {openMemory.url && (
+              <a href={openMemory.url} target="_blank" rel="noopener noreferrer">
+                {openMemory.url.replace(/^https?:\/\//, "").replace(/\/$/, "")} &rarr;
+              </a>
+            )}
+            <Link href={`/memory/${openMemory.id}`}>[page]</Link>
+          </div>
+        </aside>
+      )}
+
       {/* Discovery hint — only shows after intro */}
       {introComplete && (
         <div className={`discovery-hint ${showHint ? "discovery-hint--visible" : ""}`}>
@@ -231,6 +455,52 @@ export default function Home() {
             <span className="audio-toggle__icon">{audioOn ? "\u266B" : "\u266A"}</span>
             {audioOn ? "sound: on" : "sound: off"}
           </button>
+          <button
+            ref={mixerToggleRef}
+            type="button"
+            className={`audio-toggle audio-toggle--mixer ${mixerOpen ? "audio-toggle--active" : ""}`}
+            onClick={() => (mixerOpen ? closeMixer() : setMixerOpen(true))}
+            aria-expanded={mixerOpen}
+            aria-controls="sound-mixer"
+            aria-label="Sound mixer"
+          >
+            mix
+          </button>
+          {mixerOpen && mix && (
+            <div id="sound-mixer" ref={mixerRef} className="mixer" role="dialog" aria-label="Sound mixer">
+              {MIXER_CHANNELS.map(({ key, label }) => {
+                const percent = Math.round(mix[key] * 100);
+                return (
+                  <label key={key} className="mixer__row">
+                    <span className="mixer__label">{label}</span>
+                    <input
+                      type="range"
+                      className="mixer__slider"
+                      min={0}
+                      max={100}
+                      step={1}
+                      value={percent}
+                      onChange={(e) => changeMix(key, Number(e.target.value) / 100)}
+                      aria-valuetext={`${percent}%`}
+                    />
+                  </label>
+                );
+              })}
+            </div>
+          )}
+          {audioUsed && (
+            <button
+              type="button"
+              className={`audio-toggle audio-toggle--export ${audioExportFailed ? "audio-toggle--failed" : ""}`}
+              onClick={exportAudio}
+              disabled={exportingAudio}
+              aria-label={audioExportFailed
+                ? "Exporting the music failed; try again"
+                : "Download this session's music as a WAV file"}
+            >
+              {exportingAudio ? "rendering\u2026" : audioExportFailed ? "export failed, retry" : "export .wav"}
+            </button>
+          )}
           {showAudioHint && <span className="audio-toggle__hint">try sound</span>}
         </div>
       )}
@@ -248,8 +518,104 @@ export default function Home() {
             space: tour
           </span>
         )}
+        {discoveryCount.discovered > 0 && (
+          <button
+            type="button"
+            className="footer__forget"
+            onClick={forgetProgress}
+            aria-label="Forget discovered memories"
+          >
+            [forget me]
+          </button>
+        )}
+        {introComplete && (
+          <button
+            type="button"
+            className="footer__timeline"
+            onClick={toggleTimeline}
+            aria-pressed={timelineOn}
+            aria-label="Lay out memories on a timeline"
+          >
+            {timelineOn ? "[constellation]" : "[timeline]"}
+          </button>
+        )}
+        {introComplete && layout && !timelineOn && (
+          <button
+            type="button"
+            className="footer__layout"
+            onClick={cycleLayout}
+            aria-label={`Constellation layout: ${layout}. Switch layout`}
+          >
+            [{layout}]
+          </button>
+        )}
+        {introComplete && !skyLocated && (
+          <button
+            type="button"
+            className="footer__sky"
+            onClick={locateSky}
+            aria-label="Use my location for sunrise and sunset"
+          >
+            [local sky]
+          </button>
+        )}
+        {introComplete && (
+          <button
+            type="button"
+            className="footer__time"
+            onClick={toggleTimeScrubber}
+            aria-expanded={timeScrubberOpen}
+            aria-controls="time-scrubber"
+            aria-label="Preview the sky at another time of day"
+          >
+            {skyTime?.overridden ? `[${formatTimeOfDay(skyTime.hours)}]` : "[time]"}
+          </button>
+        )}
+        {introComplete && paletteId && (
+          <label className="footer__palette">
+            [
+            <select
+              className="footer__palette-select"
+              value={paletteId}
+              onChange={(e) => changePalette(e.target.value)}
+              aria-label="Color palette"
+            >
+              {PALETTE_OPTIONS.map(({ id, label }) => (
+                <option key={id} value={id}>{label}</option>
+              ))}
+            </select>
+            ]
+          </label>
+        )}
         <Link href="/text" className="footer__text-link">[text]</Link>
       </footer>
+
+      {introComplete && timeScrubberOpen && skyTime && (
+        <div id="time-scrubber" className="time-scrubber" role="group" aria-label="Time of day">
+          <span className="time-scrubber__readout">
+            {formatTimeOfDay(skyTime.hours)} &middot; {skyTime.phase}
+          </span>
+          <input
+            type="range"
+            className="time-scrubber__slider"
+            min={0}
+            max={1435}
+            step={5}
+            value={(Math.round((skyTime.hours * 60) / 5) * 5) % 1440}
+            onChange={(e) => scrubTime(Number(e.target.value) / 60)}
+            aria-label="Time of day"
+            aria-valuetext={`${formatTimeOfDay(skyTime.hours)}, ${skyTime.phase}`}
+          />
+          <button
+            type="button"
+            className="time-scrubber__now"
+            onClick={() => scrubTime(null)}
+            disabled={!skyTime.overridden}
+          >
+            [now]
+          </button>
+        </div>
+      )}
     </>
   );
 }
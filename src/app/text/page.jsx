@@ -1,5 +1,7 @@
 import Link from "next/link";
+import ReactMarkdown from "react-markdown";
 import { MEMORIES } from "../engine/data.js";
+import { CircadianTheme } from "../circadian-theme.jsx";
 
 export const metadata = {
   title: "Text Version",
@@ -13,6 +15,7 @@ export default function TextPage() {
 
   return (
     <div className="text-page">
+      <CircadianTheme />
       <h1>{root?.label || "nikolai onken"}</h1>
       <p className="text-page__subtitle">
         {root?.desc || "Coder, builder, musician. Lover of nature, humans, and the universe."}
@@ -22,7 +25,7 @@ export default function TextPage() {
       <ul>
         {work.map((m) => (
           <li key={m.id}>
-            <span className="text-item__label">{m.label}</span>
+            <Link href={`/memory/${m.id}`} className="text-item__label">{m.label}</Link>
             {m.desc && <span className="text-item__desc"> — {m.desc}</span>}
             {m.url && (
               <a
@@ -34,6 +37,11 @@ export default function TextPage() {
                 {m.url.replace(/^https?:\/\//, "").replace(/\/$/, "")}
               </a>
             )}
+            {m.body && (
+              <div className="text-item__body">
+                <ReactMarkdown>{m.body}</ReactMarkdown>
+              </div>
+            )}
           </li>
         ))}
       </ul>
@@ -42,7 +50,12 @@ export default function TextPage() {
       <ul>
         {identity.map((m) => (
           <li key={m.id}>
-            <span className="text-item__label">{m.label}</span>
+            <Link href={`/memory/${m.id}`} className="text-item__label">{m.label}</Link>
+            {m.body && (
+              <div className="text-item__body">
+                <ReactMarkdown>{m.body}</ReactMarkdown>
+              </div>
+            )}
           </li>
         ))}
       </ul>
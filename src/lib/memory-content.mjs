@@ -0,0 +1,24 @@
+/*
+ * Long-form memory content — content/memories/<id>.md.
+ * Front matter is merged over the matching MEMORIES entry; the markdown
+ * body becomes `body`. Runs at build time from next.config.mjs (Node only).
+ */
+
+import { readdirSync, readFileSync, existsSync } from "node:fs";
+import path from "node:path";
+import matter from "gray-matter";
+
+const CONTENT_DIR = path.join(process.cwd(), "content", "memories");
+
+/* Map of memory id -> { ...frontMatter, body } */
+export function loadMemoryContent(dir = CONTENT_DIR) {
+  const content = {};
+  if (!existsSync(dir)) return content;
+  for (const file of readdirSync(dir)) {
+    if (!file.endsWith(".md") || file === "README.md") continue;
+    const id = file.slice(0, -3);
+    const { data, content: body } = matter(readFileSync(path.join(dir, file), "utf8"));
+    content[id] = { ...data, body: body.trim() || null };
+  }
+  return content;
+}
@@ -0,0 +1,26 @@
+/*
+ * Authored palettes — content/palettes/<id>.json, in the format described
+ * in engine/palettes.js. Runs at build time from next.config.mjs (Node only).
+ */
+
+import { readdirSync, readFileSync, existsSync } from "node:fs";
+import path from "node:path";
+
+const PALETTE_DIR = path.join(process.cwd(), "content", "palettes");
+
+/* Map of palette id -> parsed palette; a file that isn't valid JSON fails the build.
+   palette.schema.json sits next to the palettes and is not one of them. */
+export function loadPalettes(dir = PALETTE_DIR) {
+  const palettes = {};
+  if (!existsSync(dir)) return palettes;
+  for (const file of readdirSync(dir)) {
+    if (!file.endsWith(".json") || file.endsWith(".schema.json")) continue;
+    const id = file.slice(0, -5);
+    try {
+      palettes[id] = JSON.parse(readFileSync(path.join(dir, file), "utf8"));
+    } catch (e) {
+      throw new Error(`content/palettes/${file}: ${e.message}`);
+    }
+  }
+  return palettes;
+}
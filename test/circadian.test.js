@@ -0,0 +1,45 @@
+/*
+ * Circadian phase windows — they must tile the whole day wherever the
+ * visitor is, including white nights and polar day and night.
+ */
+
+// Local clock hours depend on the zone; Reykjavik is UTC+0 all year
+process.env.TZ = "Atlantic/Reykjavik";
+
+const { test } = await import("node:test");
+const { default: assert } = await import("node:assert/strict");
+const { circadianWindows, getCircadianProfile } = await import("../src/app/engine/circadian.js");
+
+const REYKJAVIK = { latitude: 64.1, longitude: -21.9 };
+
+function totalHours(windows) {
+  return windows.reduce((sum, w) => sum + w.duration, 0);
+}
+
+test("white night: Reykjavik on 2025-06-16 still gets phases covering 24 h", () => {
+  const date = new Date("2025-06-16T12:00:00Z");
+  const windows = circadianWindows(date, REYKJAVIK);
+  assert.deepEqual(windows.map(w => w.name), ["dawn", "day", "dusk"]);
+  assert.ok(Math.abs(totalHours(windows) - 24) < 1e-9);
+  assert.equal(getCircadianProfile(date, REYKJAVIK).name, "day");
+});
+
+test("every 15 minutes of a year has a profile, in Reykjavik and Tromsø", () => {
+  for (const location of [REYKJAVIK, { latitude: 69.65, longitude: 18.96 }]) {
+    for (let day = 0; day < 365; day++) {
+      for (let minutes = 0; minutes < 1440; minutes += 15) {
+        const date = new Date(Date.UTC(2025, 0, 1 + day, 0, minutes));
+        const windows = circadianWindows(date, location);
+        assert.ok(Math.abs(totalHours(windows) - 24) < 1e-9, `${date.toISOString()}: windows cover ${totalHours(windows)} h`);
+        assert.ok(getCircadianProfile(date, location).name, date.toISOString());
+      }
+    }
+  }
+});
+
+test("polar day and polar night hold a single phase", () => {
+  const tromso = { latitude: 69.65, longitude: 18.96 };
+  assert.deepEqual(circadianWindows(new Date("2025-06-21T12:00:00Z"), tromso), [{ name: "day", start: 0, duration: 24 }]);
+  const svalbard = { latitude: 78.22, longitude: 15.65 };
+  assert.deepEqual(circadianWindows(new Date("2025-12-21T12:00:00Z"), svalbard), [{ name: "night", start: 0, duration: 24 }]);
+});
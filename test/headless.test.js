@@ -0,0 +1,61 @@
+/*
+ * The organism end to end, through the headless harness: intro, discovery
+ * by dwelling, completion and the auto-tour. The clock is pinned so runs
+ * don't depend on the time of day.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createSimulation } from "../src/app/engine/headless.js";
+
+function introduced(seed = 7) {
+  const sim = createSimulation({ seed, time: 12 });
+  const o = sim.organism;
+  const phases = [];
+  const ready = sim.until(() => {
+    if (phases.at(-1) !== o.introPhase) phases.push(o.introPhase);
+    return o.introPhase === "ready" && o.memoriesPlaced;
+  }, 20000);
+  return { sim, o, phases, ready };
+}
+
+test("the intro runs through its phases to ready and places the memories", () => {
+  const { o, phases, ready } = introduced();
+  assert.ok(ready, `stuck in ${o.introPhase}`);
+  assert.ok(phases.length > 1, `phases: ${phases.join(" > ")}`);
+  assert.equal(phases.at(-1), "ready");
+  assert.ok(o.particleCount > 0);
+});
+
+test("dwelling on a memory discovers it, discovering all completes the constellation, space starts the tour", () => {
+  const { sim, o } = introduced();
+
+  assert.equal(o.discovered.has("cloud9"), false);
+  assert.ok(sim.dwellOn("cloud9"), "cloud9 not discovered");
+  assert.ok(o.discovered.has("cloud9"));
+  assert.equal(o.constellationComplete, false);
+
+  sim.key(" ");
+  assert.equal(o.tourActive, false, "the tour waits for a complete constellation");
+
+  for (const id of o.memoryIds) assert.ok(sim.dwellOn(id), `${id} not discovered`);
+  sim.step(5);
+  assert.equal(o.discovered.size, o.memoryIds.length);
+  assert.ok(o.constellationComplete);
+
+  sim.key(" ");
+  assert.ok(o.tourActive);
+  const first = o.tourIndex;
+  sim.advance(4100);
+  assert.notEqual(o.tourIndex, first, "the tour moves on");
+
+  sim.key("Escape");
+  assert.equal(o.tourActive, false);
+});
+
+test("a pinned seed and time replay identically", () => {
+  const a = createSimulation({ seed: 3, time: 21.5 }).advance(3000);
+  const b = createSimulation({ seed: 3, time: 21.5 }).advance(3000);
+  assert.ok(a.organism.particleCount > 0);
+  assert.deepEqual(a.organism.sim.view.particles.slice(0, 200), b.organism.sim.view.particles.slice(0, 200));
+});
@@ -0,0 +1,25 @@
+/*
+ * Instrument voices per memory — the type's voice unless a node names one.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { instrumentFor, DEFAULT_INSTRUMENT } from "../src/app/engine/instruments.js";
+import { MEMORIES } from "../src/app/engine/data.js";
+
+test("each memory type has its own voice", () => {
+  assert.equal(instrumentFor(MEMORIES.find(m => m.id === "root")), "pad");
+  assert.equal(instrumentFor(MEMORIES.find(m => m.id === "cloud9")), "string");
+  assert.equal(instrumentFor(MEMORIES.find(m => m.id === "musician")), "bell");
+});
+
+test("an instrument field overrides the type's voice", () => {
+  assert.equal(instrumentFor({ id: "musician", type: "identity", instrument: "string" }), "string");
+  assert.equal(instrumentFor({ id: "root", type: "root", instrument: "bell" }), "bell");
+});
+
+test("unknown instruments and types fall back", () => {
+  assert.equal(instrumentFor({ type: "identity", instrument: "theremin" }), "bell");
+  assert.equal(instrumentFor({ type: "comet" }), DEFAULT_INSTRUMENT);
+  assert.equal(instrumentFor(null), DEFAULT_INSTRUMENT);
+});
@@ -0,0 +1,73 @@
+/*
+ * Motifs — pinned outputs so a change to the generator is a deliberate one,
+ * plus the invariants every motif keeps.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateMotif, parseMelody, motifFor, MAX_DEGREE } from "../src/app/engine/motif.js";
+import { MEMORIES } from "../src/app/engine/data.js";
+
+/* Motif back in data.js melody notation, for compact expectations */
+function notation(motif) {
+  return motif.map(({ degree, length }) => (length === 1 ? degree : [degree, length]));
+}
+
+test("pinned motifs", () => {
+  assert.deepEqual(notation(generateMotif("Coder")), [2, 0, [1, 2], [2, 4]]);
+  assert.deepEqual(notation(generateMotif("AWS", { year: 2016, connections: 0 })), [1, [0, 2], [0, 4]]);
+  assert.deepEqual(notation(generateMotif("Dojo Toolkit", { year: 2008, connections: 0 })), [0, [1, 2], [3, 2], 5, [4, 4]]);
+  assert.deepEqual(notation(generateMotif("Cloud9 IDE", { year: 2013, connections: 2 })), [1, [1, 2], [1, 2], [2, 2], 5, [4, 4]]);
+});
+
+test("the whole label matters: Coder and Cloud9 IDE differ", () => {
+  assert.notDeepEqual(generateMotif("Coder"), generateMotif("Cloud9 IDE"));
+  assert.notDeepEqual(generateMotif("Cloud9 IDE"), generateMotif("Cloud9 IDX"));
+});
+
+test("every character shapes the contour: one changed middle letter changes the pitches", () => {
+  const degrees = label => generateMotif(label, { year: 2010 }).map(n => n.degree);
+  assert.notDeepEqual(degrees("Warpmetrics"), degrees("Warpmotrics"));
+  assert.notDeepEqual(degrees("Dojo Toolkit"), degrees("Dojo Tnolkit"));
+  assert.notDeepEqual(degrees("Asymmetric Labs"), degrees("Asymmetrxc Labs"));
+});
+
+test("same input, same motif", () => {
+  assert.deepEqual(generateMotif("Cloud9 IDE", { year: 2013 }), generateMotif("Cloud9 IDE", { year: 2013 }));
+});
+
+test("an empty label has no motif", () => {
+  assert.deepEqual(generateMotif(""), []);
+  assert.deepEqual(generateMotif("—"), []);
+});
+
+test("parseMelody reads bare degrees as 16ths and [degree, length] pairs", () => {
+  assert.deepEqual(parseMelody([0, 2, [4, 2], 7]), [
+    { degree: 0, length: 1 },
+    { degree: 2, length: 1 },
+    { degree: 4, length: 2 },
+    { degree: 7, length: 1 },
+  ]);
+});
+
+test("a hand-authored melody takes precedence", () => {
+  const melody = [0, [4, 3]];
+  assert.deepEqual(motifFor({ id: "x", label: "Coder", melody }), parseMelody(melody));
+});
+
+test("degrees stay within 0..MAX_DEGREE and every motif ends on a held cadence", () => {
+  const labels = [...MEMORIES.map(m => m.label), "zzzzzzzzzzzzzzzzzzzz", "99999999", "a", "The quick brown fox jumps"];
+  for (const label of labels) {
+    for (const connections of [0, 2, 9]) {
+      for (const year of [null, 1999, 2024]) {
+        const motif = generateMotif(label, { year, connections });
+        assert.ok(motif.length >= 3 && motif.length <= 8, `${label}: ${motif.length} notes`);
+        for (const { degree, length } of motif) {
+          assert.ok(Number.isInteger(degree) && degree >= 0 && degree <= MAX_DEGREE, `${label}: degree ${degree}`);
+          assert.ok(length >= 1, `${label}: length ${length}`);
+        }
+        assert.equal(motif[motif.length - 1].length, 4);
+      }
+    }
+  }
+});
@@ -0,0 +1,43 @@
+/*
+ * The session log behind the WAV export stays bounded however long the
+ * visitor plays, and keeps the state the export window starts from.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MusicEngine } from "../src/app/engine/music.js";
+
+/* An engine with a fake audio clock — _record only reads ctx.currentTime */
+function recordingEngine() {
+  const engine = new MusicEngine();
+  engine.ctx = { currentTime: 0 };
+  return engine;
+}
+
+test("state events before the export window collapse to the latest per type", () => {
+  const engine = recordingEngine();
+  engine._record("drone", { freq: 55, volume: 0.08 });
+  engine._record("disable", {});
+  engine._record("enable", {});
+  // Twenty minutes of slider drags and pinches, 50 events a second
+  for (let i = 0; i < 60000; i++) {
+    engine.ctx.currentTime = i * 0.02;
+    engine._record(i % 2 ? "mix" : "pitch", { value: i });
+    if (i % 100 === 0) engine._record("pluck", { degree: 0 });
+  }
+
+  assert.ok(engine._recording.length < 40000, `${engine._recording.length} events kept`);
+
+  const cutoff = engine.ctx.currentTime - 180;
+  engine._pruneRecording(cutoff);
+  const early = engine._recording.filter(e => e.t < cutoff);
+  assert.deepEqual(early.map(e => e.type).sort(), ["drone", "enable", "mix", "pitch"]);
+  assert.equal(early.find(e => e.type === "enable").t, 0);
+  assert.ok(early.find(e => e.type === "mix").value > 50000, "the latest mix before the window is kept");
+});
+
+test("nothing is rewritten while the log is under the limit", () => {
+  const engine = recordingEngine();
+  for (let i = 0; i < 100; i++) engine._record("pluck", { degree: i });
+  assert.equal(engine._recording.length, 100);
+});
@@ -0,0 +1,156 @@
+/*
+ * Palettes end to end: authored JSON merged over the default, the build-time
+ * loader on broken files, validatePalettes on broken palettes, id fallback,
+ * the saved choice, and palette.schema.json against the rules in code.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, writeFileSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import path from "node:path";
+import { loadPalettes } from "../src/lib/palette-content.mjs";
+
+// Authored palettes reach palettes.js through the environment, as next.config.mjs inlines them
+process.env.PALETTES = JSON.stringify({
+  sea: { label: "sea", phases: { day: { primary: { h: 185, s: 80, l: 60 }, scale: "pentatonic" } } },
+  monochrome: { label: "mono, authored", phases: {} },
+});
+const { PALETTES, DEFAULT_PALETTE, PHASE_NAMES, MOODS, SCALES, MAX_TRAIL_LENGTH, paletteById } = await import("../src/app/engine/palettes.js");
+const { validatePalettes } = await import("../src/app/engine/validate.js");
+const { loadPaletteChoice, savePaletteChoice } = await import("../src/app/engine/palette-choice.js");
+
+const SCHEMA = JSON.parse(readFileSync(new URL("../content/palettes/palette.schema.json", import.meta.url), "utf8"));
+
+/* Temporary content/palettes directory holding the given files */
+function paletteDir(files) {
+  const dir = mkdtempSync(path.join(tmpdir(), "palettes-"));
+  for (const [name, text] of Object.entries(files)) writeFileSync(path.join(dir, name), text);
+  return dir;
+}
+
+/* A valid palette with the given phase fields replaced in every phase */
+function brokenPalette(fields) {
+  const phases = {};
+  for (const name of PHASE_NAMES) phases[name] = { ...PALETTES[DEFAULT_PALETTE].phases[name], ...fields };
+  return { ...PALETTES, broken: { label: "broken", phases } };
+}
+
+test("authored palettes fill missing phases and fields from the default", () => {
+  const sea = PALETTES.sea;
+  const base = PALETTES[DEFAULT_PALETTE].phases;
+  assert.deepEqual(Object.keys(sea.phases).sort(), [...PHASE_NAMES].sort());
+  assert.deepEqual(sea.phases.day.primary, { h: 185, s: 80, l: 60 });
+  assert.equal(sea.phases.day.scale, "pentatonic");
+  assert.deepEqual(sea.phases.day.secondary, base.day.secondary);
+  assert.equal(sea.phases.day.musicMood, base.day.musicMood);
+  assert.deepEqual(sea.phases.night, base.night);
+  assert.deepEqual(validatePalettes(), []);
+});
+
+test("an authored palette with a built-in id replaces it", () => {
+  assert.equal(PALETTES.monochrome.label, "mono, authored");
+  assert.deepEqual(PALETTES.monochrome.phases.dusk, PALETTES[DEFAULT_PALETTE].phases.dusk);
+});
+
+test("loadPalettes reads palettes and skips the schema", () => {
+  const dir = paletteDir({
+    "sea.json": JSON.stringify({ label: "sea" }),
+    "palette.schema.json": JSON.stringify(SCHEMA),
+    "README.md": "# Palettes",
+  });
+  try {
+    assert.deepEqual(loadPalettes(dir), { sea: { label: "sea" } });
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+  assert.deepEqual(loadPalettes(path.join(tmpdir(), "no-such-palettes")), {});
+});
+
+test("loadPalettes fails on a file that isn't valid JSON, naming it", () => {
+  const dir = paletteDir({ "sea.json": JSON.stringify({ label: "sea" }), "reef.json": "{ \"label\": \"reef\", }" });
+  try {
+    assert.throws(() => loadPalettes(dir), /^Error: content\/palettes\/reef\.json: /);
+  } finally {
+    rmSync(dir, { recursive: true });
+  }
+});
+
+test("validatePalettes reports every problem in a broken palette", () => {
+  const problems = validatePalettes(brokenPalette({
+    bg: [0, 0, 300],
+    accent: { h: 400, s: 50, l: 50 },
+    particleSpeed: 0,
+    trailLength: 2.5,
+    musicMood: "jazzy",
+    scale: "lydian",
+  }));
+  const where = `palette "broken", night`;
+  assert.deepEqual(problems.filter(p => p.startsWith(where)), [
+    `${where}: bg must be [r, g, b] integers 0-255`,
+    `${where}: accent must be { h: 0-360, s: 0-100, l: 0-100 }`,
+    `${where}: particleSpeed must be a number between 0.01 and 10`,
+    `${where}: trailLength must be an integer between 1 and ${MAX_TRAIL_LENGTH}`,
+    `${where}: unknown musicMood "jazzy" (expected ${MOODS.join(", ")})`,
+    `${where}: unknown scale "lydian" (expected ${Object.keys(SCALES).join(", ")})`,
+  ]);
+  assert.equal(problems.length, 6 * PHASE_NAMES.length);
+});
+
+test("validatePalettes rejects trails longer than the particle ring buffer holds", () => {
+  assert.deepEqual(validatePalettes(brokenPalette({ trailLength: MAX_TRAIL_LENGTH })), []);
+  const problems = validatePalettes(brokenPalette({ trailLength: MAX_TRAIL_LENGTH + 1 }));
+  assert.equal(problems.length, PHASE_NAMES.length);
+  assert.match(problems[0], /trailLength must be an integer between 1 and 16$/);
+});
+
+test("validatePalettes checks ids, labels and phase names", () => {
+  const palettes = {
+    ...PALETTES,
+    "Bad Id": { ...PALETTES.sea },
+    unlabelled: { ...PALETTES.sea, label: " " },
+    noon: { ...PALETTES.sea, phases: { ...PALETTES.sea.phases, noon: {} } },
+  };
+  delete palettes[DEFAULT_PALETTE];
+  assert.deepEqual(validatePalettes(palettes), [
+    `missing the "${DEFAULT_PALETTE}" palette`,
+    `palette "Bad Id": id must be lowercase letters, digits and dashes`,
+    `palette "unlabelled": missing label`,
+    `palette "noon": unknown phase "noon" (expected ${PHASE_NAMES.join(", ")})`,
+  ]);
+});
+
+test("paletteById falls back to the default for unknown ids", () => {
+  assert.equal(paletteById("sea"), PALETTES.sea);
+  assert.equal(paletteById("no-such-palette"), PALETTES[DEFAULT_PALETTE]);
+  assert.equal(paletteById(undefined), PALETTES[DEFAULT_PALETTE]);
+  assert.equal(paletteById("toString"), PALETTES[DEFAULT_PALETTE]);
+});
+
+test("a saved palette choice survives; a stale or foreign one is ignored", (t) => {
+  const store = new Map();
+  globalThis.window = {
+    localStorage: { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, String(v)) },
+  };
+  t.after(() => delete globalThis.window);
+
+  assert.equal(loadPaletteChoice(), null);
+  savePaletteChoice("sea");
+  assert.equal(loadPaletteChoice(), "sea");
+
+  store.set("nikolaionken:palette", JSON.stringify({ version: 1, palette: "retired-palette" }));
+  assert.equal(loadPaletteChoice(), null);
+  store.set("nikolaionken:palette", JSON.stringify({ version: 99, palette: "sea" }));
+  assert.equal(loadPaletteChoice(), null);
+  store.set("nikolaionken:palette", "not json");
+  assert.equal(loadPaletteChoice(), null);
+});
+
+test("palette.schema.json matches the rules in code", () => {
+  const phase = SCHEMA.$defs.phase.properties;
+  assert.deepEqual(SCHEMA.properties.phases.propertyNames.enum, PHASE_NAMES);
+  assert.deepEqual(phase.musicMood.enum, MOODS);
+  assert.deepEqual(phase.scale.enum, Object.keys(SCALES));
+  assert.equal(phase.trailLength.maximum, MAX_TRAIL_LENGTH);
+  assert.deepEqual(Object.keys(phase).sort(), Object.keys(PALETTES[DEFAULT_PALETTE].phases.day).sort());
+});
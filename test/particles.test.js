@@ -0,0 +1,50 @@
+/*
+ * ParticlePool slots: one handle per slot, reused from the free list with a
+ * new id, the dense list kept packed through removals, and trail capacity.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ParticlePool } from "../src/app/engine/particles.js";
+import { MAX_TRAIL_LENGTH } from "../src/app/engine/palettes.js";
+
+test("a freed slot hands out the same handle with a new id", () => {
+  const pool = new ParticlePool(4);
+  const a = pool.add(1, 1);
+  const b = pool.add(2, 2);
+  const firstId = b.id;
+
+  pool.remove(b);
+  assert.equal(b.alive, false);
+  const c = pool.add(3, 3, { isMemory: true, memoryId: "root" });
+  assert.equal(c, b);
+  assert.ok(c.alive);
+  assert.notEqual(c.id, firstId);
+  assert.deepEqual([c.x, c.y, c.isMemory, c.memoryId, c.targetX, c.trailLength], [3, 3, true, "root", null, 0]);
+  assert.deepEqual(pool.particles, [a, c]);
+});
+
+test("removal keeps the live list packed and ignores dead handles", () => {
+  const pool = new ParticlePool(3);
+  const [a, b, c] = [pool.add(0, 0), pool.add(1, 1), pool.add(2, 2)];
+  assert.equal(pool.add(3, 3), null);
+
+  pool.remove(a);
+  pool.remove(a);
+  assert.deepEqual(pool.particles, [c, b]);
+  assert.equal(pool.count, 2);
+  assert.equal(pool.add(4, 4), a);
+  assert.equal(pool.count, 3);
+});
+
+test("trails hold the longest palette trail, plus stellar wind's two extra points", () => {
+  const pool = new ParticlePool(1);
+  const p = pool.add(0, 0, { maxTrail: MAX_TRAIL_LENGTH + 2 });
+  for (let i = 1; i <= 40; i++) {
+    p.x = i;
+    p.updateTrail();
+  }
+  assert.equal(p.trailLength, MAX_TRAIL_LENGTH + 2);
+  assert.equal(p.trailX(0), 40);
+  assert.equal(p.trailX(MAX_TRAIL_LENGTH + 1), 40 - MAX_TRAIL_LENGTH - 1);
+});
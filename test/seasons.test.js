@@ -0,0 +1,81 @@
+/*
+ * seasonOf and moonPhase against published solstices and lunar phases
+ * (UTC, rounded to the minute): the moon within half a day, the season
+ * turns within an hour, the flip south of the equator and the sign of warmth.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { seasonOf, moonPhase } from "../src/app/engine/seasons.js";
+
+const SYNODIC_MONTH = 29.530588853;
+const TOLERANCE_DAYS = 0.5;
+
+function assertPhaseNear(date, expected, label) {
+  const { phase } = moonPhase(new Date(date));
+  const off = Math.abs(phase - expected);
+  const days = Math.min(off, 1 - off) * SYNODIC_MONTH;
+  assert.ok(days <= TOLERANCE_DAYS, `${label}: phase ${phase.toFixed(3)} is ${days.toFixed(2)} days from ${expected}`);
+}
+
+test("new moons land on phase 0", () => {
+  assertPhaseNear("2024-01-11T11:57Z", 0, "new moon, January 2024");
+  assertPhaseNear("2025-09-21T19:54Z", 0, "new moon, September 2025");
+  assert.ok(moonPhase(new Date("2024-01-11T11:57Z")).illumination < 0.01);
+});
+
+test("full moons land on phase 0.5", () => {
+  assertPhaseNear("2024-01-25T17:54Z", 0.5, "full moon, January 2024");
+  assertPhaseNear("2025-09-07T18:09Z", 0.5, "full moon, September 2025");
+  assert.ok(moonPhase(new Date("2024-01-25T17:54Z")).illumination > 0.99);
+});
+
+test("moon phase before the reference new moon stays in range", () => {
+  const { phase, illumination } = moonPhase(new Date("1999-12-22T17:31Z")); // full moon
+  assert.ok(phase >= 0 && phase < 1);
+  assert.ok(illumination > 0.99);
+});
+
+test("warmth peaks at the June solstice and bottoms out at the December one", () => {
+  const june = seasonOf(new Date("2024-06-20T20:51Z"), 52);
+  const december = seasonOf(new Date("2024-12-21T09:20Z"), 52);
+  assert.equal(june.name, "summer");
+  assert.equal(december.name, "winter");
+  assert.ok(june.warmth > 0.99, `June warmth ${june.warmth}`);
+  assert.ok(december.warmth < -0.99, `December warmth ${december.warmth}`);
+});
+
+test("seasons turn at the equinoxes and solstices", () => {
+  const turns = [
+    ["2024-03-20T03:06Z", "winter", "spring"],
+    ["2024-06-20T20:51Z", "spring", "summer"],
+    ["2024-09-22T12:44Z", "summer", "autumn"],
+    ["2024-12-21T09:20Z", "autumn", "winter"],
+  ];
+  for (const [at, before, after] of turns) {
+    const t = new Date(at).valueOf();
+    assert.equal(seasonOf(new Date(t - 3600000), 52).name, before, `an hour before ${at}`);
+    assert.equal(seasonOf(new Date(t + 3600000), 52).name, after, `an hour after ${at}`);
+  }
+});
+
+test("seasons and warmth flip south of the equator", () => {
+  const dates = ["2024-01-15", "2024-04-15", "2024-07-15", "2024-10-15", "2024-06-20", "2024-12-21"];
+  const opposite = { spring: "autumn", summer: "winter", autumn: "spring", winter: "summer" };
+  for (const d of dates) {
+    const north = seasonOf(new Date(d), 52);
+    const south = seasonOf(new Date(d), -34);
+    assert.equal(south.name, opposite[north.name], d);
+    assert.equal(south.warmth, -north.warmth, d);
+  }
+  const june = seasonOf(new Date("2024-06-20T20:51Z"), -34);
+  const december = seasonOf(new Date("2024-12-21T09:20Z"), -34);
+  assert.equal(june.name, "winter");
+  assert.equal(december.name, "summer");
+  assert.ok(june.warmth < -0.99 && december.warmth > 0.99);
+});
+
+test("the equator counts as north", () => {
+  assert.equal(seasonOf(new Date("2024-07-15"), 0).name, "summer");
+  assert.equal(seasonOf(new Date("2024-07-15")).name, "summer");
+});
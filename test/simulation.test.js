@@ -0,0 +1,113 @@
+/*
+ * The simulation and its driver: a worker that answers late carries the
+ * skipped frames' time and commands into the next step, a failing worker
+ * restarts the simulation inline from what it was sent, and text targets
+ * let go of particles that die.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Simulation, SimulationDriver, VIEW } from "../src/app/engine/simulation.js";
+import { MEMORIES, CONNECTIONS } from "../src/app/engine/data.js";
+
+const VIEWPORT = { width: 800, height: 600 };
+const PARAMS = {
+  dt: 100, cx: 400, cy: 300, breath: 0, breathPhase: 0, speed: 1,
+  cursor: null, touches: [], gyro: null, isTouch: false, streamSpeed: 1, dwell: false,
+};
+
+/* Runs a Simulation like simulation.worker.js, but only answers when the test says so */
+function lateWorker() {
+  let simulation = null;
+  const worker = {
+    messages: [],
+    postMessage(message) {
+      if (message.init) simulation = new Simulation(message.init.seed, message.init.viewport);
+      else worker.messages.push(message);
+    },
+    terminate() { worker.terminated = true; },
+    answer() {
+      const { commands, params, buffer } = worker.messages.at(-1);
+      simulation.apply(commands);
+      simulation.step(params);
+      worker.onmessage({ data: simulation.view(buffer) });
+    },
+  };
+  return worker;
+}
+
+test("frames skipped while the worker is busy carry their time and commands into the next step", () => {
+  const worker = lateWorker();
+  const driver = new SimulationDriver(1, VIEWPORT, () => worker);
+  assert.equal(driver.threaded, true);
+
+  driver.send("spawn", 100, 100, { decay: 1, alpha: 1 });
+  driver.step(PARAMS); // posted
+  driver.send("spawn", 200, 200, { decay: 1, alpha: 1 });
+  driver.step(PARAMS); // busy — skipped
+  driver.step(PARAMS); // busy — skipped
+  assert.equal(worker.messages.length, 1);
+  assert.equal(driver.view.count, 0);
+
+  worker.answer();
+  driver.step(PARAMS); // takes the view, posts the rest
+  assert.equal(driver.view.count, 1);
+  assert.ok(Math.abs(driver.view.particles[VIEW.opacity] - 0.9) < 1e-6);
+  assert.equal(worker.messages.length, 2);
+  assert.equal(worker.messages[1].params.dt, 300);
+  assert.deepEqual(worker.messages[1].commands.map(c => c[0]), ["spawn"]);
+
+  worker.answer();
+  driver.step(PARAMS);
+  assert.equal(driver.view.count, 2);
+  assert.ok(Math.abs(driver.view.particles[VIEW.opacity] - 0.6) < 1e-6, "the first particle decays over all four frames");
+});
+
+test("inline stepping decays by each frame's dt and views every step", () => {
+  const driver = new SimulationDriver(1, VIEWPORT);
+  assert.equal(driver.threaded, false);
+  driver.send("spawn", 100, 100, { decay: 1, alpha: 1 });
+  for (let i = 0; i < 3; i++) driver.step(PARAMS);
+  assert.equal(driver.view.count, 1);
+  assert.ok(Math.abs(driver.view.particles[VIEW.opacity] - 0.7) < 1e-6);
+});
+
+test("a failing worker restarts the simulation inline from the lasting commands it was sent", () => {
+  const worker = lateWorker();
+  const driver = new SimulationDriver(1, VIEWPORT, () => worker);
+  const [id, connections] = [...CONNECTIONS].find(([, c]) => c.size > 0);
+  const other = [...connections][0];
+
+  for (const m of MEMORIES) driver.send("birth", m.id, {});
+  driver.send("place");
+  driver.send("spawn", 100, 100); // transient — not replayed
+  driver.step(PARAMS);
+  driver.send("discover", id);
+  driver.send("discover", other);
+  driver.step(PARAMS); // busy — the discoveries stay queued
+
+  worker.onerror();
+  assert.equal(worker.terminated, true);
+  assert.equal(driver.threaded, false);
+
+  driver.step(PARAMS);
+  assert.equal(driver.view.count, MEMORIES.length);
+  assert.ok(driver.view.nodes.every(Boolean), "every memory is born again");
+  assert.equal(driver.view.flowStreams.length, 1, "both discoveries are applied");
+});
+
+test("text targets let go of particles that die, so a respawned slot starts free", () => {
+  const sim = new Simulation(1, VIEWPORT);
+  for (let i = 0; i < 3; i++) sim.spawn(100 + i * 30, 100, { decay: 20 });
+  sim.formText([300, 300, 310, 300, 320, 300], { x: 310, y: 300 }, 0.03, { h: 200, s: 50, l: 50 });
+  assert.equal(sim.textTargets.length, 3);
+
+  sim.step(PARAMS); // all three die
+  assert.equal(sim.pool.count, 0);
+  assert.equal(sim.textTargets.length, 0);
+
+  const p = sim.pool.add(50, 50);
+  sim.step(PARAMS);
+  assert.equal(p.targetX, null);
+  assert.equal(p.targetForce, 0);
+});
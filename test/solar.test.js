@@ -0,0 +1,82 @@
+/*
+ * solarEvents against published sunrise, sunset and civil twilight times
+ * (UTC, rounded to the minute), plus the polar and white-night edge cases.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { solarEvents, locationForTimeZone } from "../src/app/engine/solar.js";
+
+const TOLERANCE_MINUTES = 3;
+
+function assertNear(actual, expected, label) {
+  assert.ok(actual instanceof Date, `${label}: expected a time, got ${actual}`);
+  const minutes = Math.abs(actual - new Date(expected)) / 60000;
+  assert.ok(minutes <= TOLERANCE_MINUTES, `${label}: ${actual.toISOString()} is ${minutes.toFixed(1)} min from ${expected}`);
+}
+
+const TABLES = [
+  {
+    place: "Amsterdam, winter solstice",
+    date: "2024-12-21", latitude: 52.37, longitude: 4.9,
+    dawn: "2024-12-21T07:07Z", sunrise: "2024-12-21T07:48Z", sunset: "2024-12-21T15:29Z", dusk: "2024-12-21T16:11Z",
+  },
+  {
+    place: "London, summer solstice",
+    date: "2024-06-20", latitude: 51.51, longitude: -0.13,
+    dawn: "2024-06-20T02:57Z", sunrise: "2024-06-20T03:43Z", sunset: "2024-06-20T20:21Z", dusk: "2024-06-20T21:08Z",
+  },
+  {
+    place: "New York, March equinox",
+    date: "2024-03-20", latitude: 40.71, longitude: -74.01,
+    dawn: "2024-03-20T10:33Z", sunrise: "2024-03-20T11:00Z", sunset: "2024-03-20T23:10Z", dusk: "2024-03-20T23:37Z",
+  },
+  {
+    place: "Sydney, December solstice",
+    date: "2024-12-21", latitude: -33.87, longitude: 151.21,
+    sunrise: "2024-12-20T18:42Z", sunset: "2024-12-21T09:05Z",
+  },
+];
+
+for (const row of TABLES) {
+  test(`matches published times: ${row.place}`, () => {
+    const e = solarEvents(new Date(`${row.date}T12:00:00Z`), row);
+    for (const key of ["dawn", "sunrise", "sunset", "dusk"]) {
+      if (row[key]) assertNear(e[key], row[key], key);
+    }
+  });
+}
+
+test("polar day: the sun never sets over Tromsø at midsummer", () => {
+  const e = solarEvents(new Date("2024-06-21T12:00:00Z"), { latitude: 69.65, longitude: 18.96 });
+  assert.equal(e.sunrise, null);
+  assert.equal(e.sunset, null);
+  assert.equal(e.dawn, null);
+  assert.ok(e.midnightAltitude > -0.833, `midnight altitude ${e.midnightAltitude}`);
+});
+
+test("polar night: Tromsø keeps civil twilight, Svalbard goes fully dark", () => {
+  const tromso = solarEvents(new Date("2024-12-21T12:00:00Z"), { latitude: 69.65, longitude: 18.96 });
+  assert.equal(tromso.sunrise, null);
+  assert.ok(tromso.dawn instanceof Date && tromso.dusk instanceof Date);
+  assert.ok(tromso.noonAltitude < -0.833 && tromso.noonAltitude > -6);
+
+  const svalbard = solarEvents(new Date("2024-12-21T12:00:00Z"), { latitude: 78.22, longitude: 15.65 });
+  assert.equal(svalbard.dawn, null);
+  assert.equal(svalbard.sunrise, null);
+  assert.ok(svalbard.noonAltitude < -6, `noon altitude ${svalbard.noonAltitude}`);
+});
+
+test("white night: Reykjavik has no civil twilight and sets just after midnight", () => {
+  const e = solarEvents(new Date("2025-06-16T12:00:00Z"), { latitude: 64.1, longitude: -21.9 });
+  assert.equal(e.dawn, null);
+  assert.equal(e.dusk, null);
+  assertNear(e.sunrise, "2025-06-16T02:59Z", "sunrise");
+  assertNear(e.sunset, "2025-06-17T00:00Z", "sunset");
+});
+
+test("locationForTimeZone: known zones, then the UTC offset", () => {
+  assert.deepEqual(locationForTimeZone("Europe/Amsterdam"), { latitude: 52.37, longitude: 4.9 });
+  assert.deepEqual(locationForTimeZone("Etc/Unknown", 120), { latitude: 45, longitude: 30 });
+  assert.deepEqual(locationForTimeZone(null, -900), { latitude: 45, longitude: -180 });
+});
@@ -0,0 +1,73 @@
+/*
+ * validateMemories on the real graph and on broken copies of it —
+ * every problem is reported in one run, not just the first.
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MEMORIES, IDENTITY_ANGLES } from "../src/app/engine/data.js";
+import { validateMemories, validatePalettes } from "../src/app/engine/validate.js";
+
+/* Deep copy of MEMORIES with per-id overrides; `null` drops a node */
+function fixture(overrides = {}) {
+  const memories = [];
+  for (const m of MEMORIES) {
+    if (overrides[m.id] === null) continue;
+    memories.push({ ...m, connections: [...m.connections], ...overrides[m.id] });
+  }
+  return memories;
+}
+
+test("data.js and the built-in palettes are valid", () => {
+  assert.deepEqual(validateMemories(), []);
+  assert.deepEqual(validatePalettes(), []);
+});
+
+test("reports every problem in a broken graph together", () => {
+  const memories = fixture({
+    cloud9: { connections: [...MEMORIES.find(m => m.id === "cloud9").connections, "nowhere"], url: "not a url" },
+    aws: { year: undefined },
+  });
+  memories.push({ id: "dojo", label: "Dojo again", type: "work", year: 2005, connections: ["root"] });
+  memories.push({ id: "island", label: "Island", type: "work", year: 2020, connections: [] });
+  memories.push({ id: "drifter", label: "Drifter", type: "identity", connections: [] });
+
+  const problems = validateMemories(memories, { identityAngles: IDENTITY_ANGLES });
+  const expected = [
+    `"cloud9": dangling connection to "nowhere"`,
+    `"dojo": duplicate id`,
+    `"island": unreachable from root`,
+    `"cloud9": malformed url "not a url"`,
+    `"aws": work node has no year`,
+    `"drifter": identity node has no entry in IDENTITY_ANGLES`,
+  ];
+  for (const problem of expected) assert.ok(problems.includes(problem), `missing: ${problem}\n${problems.join("\n")}`);
+});
+
+test("flags stale IDENTITY_ANGLES and content entries", () => {
+  const problems = validateMemories(fixture({ universe: null }), {
+    identityAngles: IDENTITY_ANGLES,
+    contentIds: ["ghost"],
+  });
+  assert.ok(problems.includes(`IDENTITY_ANGLES: "universe" is not a memory id`));
+  assert.ok(problems.includes(`content/memories/ghost.md: "ghost" is not a memory id`));
+});
+
+test("checks hand-authored melodies", () => {
+  assert.deepEqual(validateMemories(fixture({ root: { melody: [0, 2, 4, [7, 2], 4, [0, 4]] } })), []);
+  const problems = validateMemories(fixture({ root: { melody: [0, 14, [2]] } }));
+  assert.ok(problems.includes(`"root": melody must be scale degrees 0-13 or [degree, length] pairs`), problems.join("\n"));
+});
+
+test("checks instrument names", () => {
+  assert.deepEqual(validateMemories(fixture({ musician: { instrument: "string" } })), []);
+  const problems = validateMemories(fixture({ musician: { instrument: "theremin" } }));
+  assert.ok(problems.some(p => p.startsWith(`"musician": unknown instrument "theremin"`)), problems.join("\n"));
+});
+
+test("connections count in both directions for reachability", () => {
+  // Nothing lists "satellite", but it lists cloud9 — the app links them both ways
+  const memories = fixture();
+  memories.push({ id: "satellite", label: "Satellite", type: "work", year: 2021, connections: ["cloud9"] });
+  assert.deepEqual(validateMemories(memories), []);
+});